@@ -4,44 +4,26 @@
  */
 
 const config = {
-  // Development configuration (local network)
-  development: {
-    signalingServer: 'ws://localhost:8080',
-    iceServers: [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-    ],
-  },
-
-  // Production configuration (cloud deployment)
-  production: {
+  // Signaling servers in order of preference. Clients probe each one's /health
+  // and connect to the first healthy server, remembering the last one that
+  // worked - so the same list works in the office, at home and on the road.
+  signalingServers: [
+    'ws://192.168.0.26:8080', // Local network server - your actual local IP
+    'ws://localhost:8080', // Development server on this machine
     // Replace with your actual signaling server URL
-    signalingServer: 'wss://your-signaling-server.herokuapp.com',
-    iceServers: [
-      // Google's free STUN servers
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' },
+    'wss://your-signaling-server.herokuapp.com', // Cloud deployment
+  ],
 
-      // Add your TURN servers for production (required for NAT traversal)
-      // {
-      //   urls: 'turn:your-turn-server.com:3478',
-      //   username: 'your-turn-username',
-      //   credential: 'your-turn-password'
-      // },
-      // {
-      //   urls: 'turns:your-turn-server.com:5349',
-      //   username: 'your-turn-username',
-      //   credential: 'your-turn-password'
-      // }
-    ],
-  },
+  iceServers: [
+    // Google's free STUN servers
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+    { urls: 'stun:stun2.l.google.com:19302' },
 
-  // Local network configuration (for office/home deployment)
-  local: {
-    signalingServer: 'ws://192.168.0.26:8080', // Your actual local IP
-    iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
-  },
+    // TURN servers (required for NAT traversal) are not configured here:
+    // clients fetch them with short-lived credentials from the signaling
+    // server's /api/ice-servers endpoint (TURN_URLS / TURN_SECRET env vars)
+  ],
 };
 
 module.exports = config;
@@ -4,7 +4,14 @@
  */
 
 import React, { useState, useRef, useEffect } from 'react';
-import { View, StyleSheet, StatusBar, Text, Pressable } from 'react-native';
+import {
+  View,
+  StyleSheet,
+  StatusBar,
+  Text,
+  Pressable,
+  TextInput,
+} from 'react-native';
 import { WebView } from 'react-native-webview';
 
 interface ConnectionState {
@@ -25,6 +32,10 @@ export default function WebViewReceiver() {
   const [currentRoom, setCurrentRoom] = useState('living-room');
   const [showRoomSelector, setShowRoomSelector] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false); // Track streaming state
+  const [roomPin, setRoomPin] = useState(''); // PIN shown on the sender
+  const [pinInput, setPinInput] = useState('');
+  const [showPinPrompt, setShowPinPrompt] = useState(false);
+  const [pinRejected, setPinRejected] = useState(false);
   const webViewRef = useRef<WebView>(null);
   const controlsTimeoutRef = useRef<NodeJS.Timeout | null>(null);
 
@@ -68,15 +79,17 @@ export default function WebViewReceiver() {
     }
   };
 
-  // Get current WebView URL with room parameter
+  // Get current WebView URL with room (and PIN, once entered) parameters
   const getCurrentURL = () => {
-    return `${BASE_WEB_RECEIVER_URL}?room=${currentRoom}`;
+    const pinParam = roomPin ? `&pin=${encodeURIComponent(roomPin)}` : '';
+    return `${BASE_WEB_RECEIVER_URL}?room=${currentRoom}${pinParam}`;
   };
 
   // Change room and refresh
   const handleRoomChange = (newRoom: string) => {
     console.log('🏠 Changing room from', currentRoom, 'to', newRoom);
     setCurrentRoom(newRoom);
+    setRoomPin(''); // PINs are per room
     setRefreshKey((prev) => prev + 1);
     setConnectionState({
       status: 'loading',
@@ -86,6 +99,20 @@ export default function WebViewReceiver() {
     setShowControls(false); // Hide controls after room change
   };
 
+  // Submit PIN and reload the receiver with it
+  const handlePinSubmit = () => {
+    const pin = pinInput.trim();
+    if (!pin) return;
+
+    setRoomPin(pin);
+    setShowPinPrompt(false);
+    setRefreshKey((prev) => prev + 1);
+    setConnectionState({
+      status: 'loading',
+      message: 'Joining room...',
+    });
+  };
+
   // Refresh WebView
   const handleRefresh = () => {
     setRefreshKey((prev) => prev + 1);
@@ -140,6 +167,10 @@ export default function WebViewReceiver() {
             controlsTimeoutRef.current = null;
           }
         }
+      } else if (message.type === 'pin_required') {
+        setPinRejected(message.invalid);
+        setPinInput('');
+        setShowPinPrompt(true);
       }
     } catch (error) {
       console.log('📨 WebView message (non-JSON):', event.nativeEvent.data);
@@ -192,7 +223,7 @@ export default function WebViewReceiver() {
         scalesPageToFit={true}
         showsHorizontalScrollIndicator={false}
         showsVerticalScrollIndicator={false}
-        // Media playback optimization
+        // Media playback optimization - also lets the stream's audio play without a tap
         mediaPlaybackRequiresUserAction={false}
         allowsInlineMediaPlayback={true}
         allowsFullscreenVideo={true}
@@ -361,6 +392,33 @@ export default function WebViewReceiver() {
         </View>
       )}
 
+      {/* PIN Prompt - Shown when the room rejects our join */}
+      {showPinPrompt && !isStreaming && (
+        <View style={styles.pinOverlay}>
+          <Text style={styles.pinTitle}>🔐 Room PIN</Text>
+          <Text style={styles.pinMessage}>
+            {pinRejected
+              ? 'Incorrect PIN, please try again'
+              : `Enter the PIN shown on the sender for ${currentRoom}`}
+          </Text>
+          <TextInput
+            value={pinInput}
+            onChangeText={setPinInput}
+            onSubmitEditing={handlePinSubmit}
+            keyboardType="number-pad"
+            maxLength={64}
+            autoFocus
+            style={styles.pinInput}
+          />
+          <Pressable
+            onPress={handlePinSubmit}
+            hasTVPreferredFocus={true}
+            style={styles.retryButton}>
+            <Text style={styles.retryButtonText}>Join</Text>
+          </Pressable>
+        </View>
+      )}
+
       {/* Error State - Only show when not streaming */}
       {connectionState.status === 'error' && !isStreaming && (
         <View style={styles.errorOverlay}>
@@ -513,6 +571,43 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 16,
   },
+  // PIN Prompt
+  pinOverlay: {
+    position: 'absolute',
+    top: '50%',
+    left: 20,
+    right: 20,
+    transform: [{ translateY: -120 }],
+    backgroundColor: 'rgba(0, 0, 0, 0.9)',
+    padding: 24,
+    borderRadius: 12,
+    alignItems: 'center',
+    zIndex: 30,
+  },
+  pinTitle: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  pinMessage: {
+    color: '#fff',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  pinInput: {
+    backgroundColor: '#fff',
+    color: '#000',
+    fontSize: 24,
+    letterSpacing: 6,
+    textAlign: 'center',
+    width: 200,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+
   retryButton: {
     backgroundColor: '#fff',
     paddingHorizontal: 20,
@@ -0,0 +1,10 @@
+// Learn more https://docs.expo.dev/guides/customizing-metro/
+const path = require('path');
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+
+// Client modules shared with the signaling server (signaling client, logger)
+config.watchFolders = [path.resolve(__dirname, '../rtc-signal/shared')];
+
+module.exports = config;
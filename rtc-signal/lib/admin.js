@@ -0,0 +1,149 @@
+/**
+ * Admin REST API: inspect rooms and end sessions without restarting the server
+ *
+ * Every route requires `Authorization: Bearer <ADMIN_TOKEN>`. Without ADMIN_TOKEN
+ * the API is disabled and answers 503.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { LAYERS } = require('./protocol');
+
+// Hash before comparing so tokens of different lengths still compare in constant time
+function tokenMatches(expected, provided) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(provided));
+}
+
+function requireAdminToken(token) {
+  return (req, res, next) => {
+    if (!token) {
+      res.status(503).json({ error: 'Admin API disabled - set ADMIN_TOKEN' });
+      return;
+    }
+    const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !provided || !tokenMatches(token, provided)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ error: 'Invalid or missing admin token' });
+      return;
+    }
+    next();
+  };
+}
+
+function describeParticipant(participant) {
+  return {
+    peerId: participant.peerId,
+    role: participant.role,
+    ...(participant.layer ? { layer: participant.layer } : {}),
+    joinedAt: new Date(participant.joinedAt).toISOString(),
+    // Dropped, waiting to resume within RECONNECT_GRACE
+    ...(participant.disconnectedAt
+      ? { disconnectedAt: new Date(participant.disconnectedAt).toISOString() }
+      : {}),
+    instanceId: participant.instanceId,
+  };
+}
+
+// PINs stay out of admin responses - ending a session doesn't need them
+function describeRoom(room) {
+  return {
+    id: room.id,
+    createdAt: new Date(room.createdAt).toISOString(),
+    sessionId: room.sessionId,
+    secured: Boolean(room.pin),
+    offerer: room.offerer ? describeParticipant(room.offerer) : null,
+    viewers: Array.from(room.viewers.values(), describeParticipant),
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.token - ADMIN_TOKEN
+ * @param {object} options.store - room store (lib/roomStore.js)
+ * @param {Function} options.kickParticipant - (room, participant) => Promise
+ * @param {Function} options.closeRoom - (room) => Promise
+ * @param {Function} options.setViewerLayer - (room, viewer, layer) => Promise
+ */
+function createAdminRouter({
+  token,
+  store,
+  kickParticipant,
+  closeRoom,
+  setViewerLayer,
+}) {
+  const router = express.Router();
+  router.use(requireAdminToken(token));
+
+  router.get('/rooms', async (req, res) => {
+    const rooms = await store.listRooms();
+    res.json({ rooms: rooms.map(describeRoom) });
+  });
+
+  router.get('/rooms/:roomId', async (req, res) => {
+    const room = await store.getRoom(req.params.roomId);
+    if (!room) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    res.json({
+      ...describeRoom(room),
+      activity: await store.getActivity(room.id),
+    });
+  });
+
+  router.delete('/rooms/:roomId/participants/:peerId', async (req, res) => {
+    const room = await store.getRoom(req.params.roomId);
+    const { peerId } = req.params;
+    const participant =
+      room &&
+      (room.offerer && room.offerer.peerId === peerId
+        ? room.offerer
+        : room.viewers.get(peerId));
+    if (!participant) {
+      res.status(404).json({ error: 'Participant not found in room' });
+      return;
+    }
+    await kickParticipant(room, participant);
+    res.json({ room: room.id, kicked: peerId });
+  });
+
+  // Pick a viewer's simulcast layer for it, e.g. keep the boardroom TV on `high`
+  router.put('/rooms/:roomId/participants/:peerId/layer', async (req, res) => {
+    const layer = req.body && req.body.layer;
+    if (!LAYERS.includes(layer)) {
+      res
+        .status(400)
+        .json({ error: `"layer" must be one of ${LAYERS.join(', ')}` });
+      return;
+    }
+    const room = await store.getRoom(req.params.roomId);
+    const viewer = room && room.viewers.get(req.params.peerId);
+    if (!viewer) {
+      res.status(404).json({ error: 'Viewer not found in room' });
+      return;
+    }
+    await setViewerLayer(room, viewer, layer);
+    res.json({ room: room.id, peerId: viewer.peerId, layer });
+  });
+
+  router.delete('/rooms/:roomId', async (req, res) => {
+    const room = await store.getRoom(req.params.roomId);
+    if (!room) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    await closeRoom(room);
+    res.json({
+      room: room.id,
+      closed: true,
+      participants: (room.offerer ? 1 : 0) + room.viewers.size,
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+};
@@ -0,0 +1,291 @@
+/**
+ * Per-connection and per-IP abuse limits for the WebSocket server
+ *
+ * Message size is enforced by `ws` itself (maxPayload); everything else is
+ * checked here and reported as a violation the server closes the socket for -
+ * or, for HTTP routes, answers 429.
+ */
+
+const { CloseCodes } = require('./protocol');
+const { createLogger } = require('./logger');
+
+const log = createLogger('limits');
+
+function loadLimits(env = process.env) {
+  const number = (name, fallback) => parseFloat(env[name]) || fallback;
+  return {
+    maxMessageBytes: number('MAX_MESSAGE_BYTES', 64 * 1024),
+    // Token buckets: sustained messages per second, plus a burst for ICE candidate floods
+    messageRate: number('MESSAGE_RATE', 50),
+    messageBurst: number('MESSAGE_BURST', 200),
+    ipMessageRate: number('IP_MESSAGE_RATE', 200),
+    ipMessageBurst: number('IP_MESSAGE_BURST', 800),
+    maxRoomsPerConnection: number('MAX_ROOMS_PER_CONNECTION', 5), // Distinct rooms over the socket's life
+    maxRoomsPerIp: number('MAX_ROOMS_PER_IP', 20), // Rooms joined at once across an IP's sockets
+    maxSocketsPerIp: number('MAX_SOCKETS_PER_IP', 20),
+    // GET /api/ice-servers per IP - every answer to a participant mints TURN credentials
+    iceServersRate: number('ICE_SERVERS_RATE', 0.2),
+    iceServersBurst: number('ICE_SERVERS_BURST', 10),
+    // Failed PIN attempts before joins are locked out for pinLockout seconds
+    maxPinAttemptsPerIp: number('MAX_PIN_ATTEMPTS_PER_IP', 5),
+    maxPinAttemptsPerRoom: number('MAX_PIN_ATTEMPTS_PER_ROOM', 20),
+    pinLockout: number('PIN_LOCKOUT', 900),
+    // Reverse proxies in front of us that append to X-Forwarded-For: 'true' is one, a number
+    // that many. 0 ignores the header.
+    trustProxyHops:
+      env.TRUST_PROXY === 'true' ? 1 : parseInt(env.TRUST_PROXY) || 0,
+  };
+}
+
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.updatedAt) / 1000) * this.rate
+    );
+    this.updatedAt = now;
+  }
+
+  take() {
+    this.refill();
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Unused long enough to be dropped
+  isFull() {
+    this.refill();
+    return this.tokens >= this.burst;
+  }
+}
+
+const violation = (limit, code, reason) => ({ limit, code, reason });
+
+class ConnectionLimiter {
+  constructor(limits) {
+    this.limits = limits;
+    this.clients = new Map(); // ip -> { sockets: Set<ws>, bucket: TokenBucket }
+    this.iceServersBuckets = new Map(); // ip -> TokenBucket
+    this.warnedUntrustedProxy = false;
+  }
+
+  clientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    const hops = this.limits.trustProxyHops;
+    if (forwarded && hops) {
+      // Each proxy appends the address it was reached from, after whatever the client sent:
+      // only the entry our outermost trusted proxy added can't be made up
+      const addresses = forwarded.split(',').map((address) => address.trim());
+      return addresses[Math.max(0, addresses.length - hops)];
+    }
+    // Most likely a reverse proxy we don't trust yet: every client would share its address,
+    // and one client's limits and PIN lockout. Said once - the header may be spoofed too.
+    if (forwarded && !this.warnedUntrustedProxy) {
+      this.warnedUntrustedProxy = true;
+      log.warn(
+        'X-Forwarded-For ignored: behind a reverse proxy, set TRUST_PROXY to its number of hops or all clients share its address for limits',
+        { remoteAddress: req.socket.remoteAddress }
+      );
+    }
+    return req.socket.remoteAddress;
+  }
+
+  // Register a new socket; returns a violation when the IP already has too many
+  connect(ws, req) {
+    const ip = this.clientIp(req);
+    let client = this.clients.get(ip);
+    if (!client) {
+      client = {
+        sockets: new Set(),
+        bucket: new TokenBucket(
+          this.limits.ipMessageRate,
+          this.limits.ipMessageBurst
+        ),
+      };
+      this.clients.set(ip, client);
+    }
+
+    ws.limits = {
+      ip,
+      bucket: new TokenBucket(
+        this.limits.messageRate,
+        this.limits.messageBurst
+      ),
+      roomsJoined: new Set(),
+    };
+    client.sockets.add(ws);
+
+    if (client.sockets.size > this.limits.maxSocketsPerIp) {
+      return violation(
+        'sockets-per-ip',
+        CloseCodes.TOO_MANY_SOCKETS,
+        `Too many connections from this address (max ${this.limits.maxSocketsPerIp})`
+      );
+    }
+    return null;
+  }
+
+  disconnect(ws) {
+    const client = ws.limits && this.clients.get(ws.limits.ip);
+    if (!client) return;
+    client.sockets.delete(ws);
+    if (!client.sockets.size) this.clients.delete(ws.limits.ip);
+  }
+
+  // Call for every incoming message
+  consumeMessage(ws) {
+    if (!ws.limits.bucket.take()) {
+      return violation(
+        'message-rate',
+        CloseCodes.RATE_LIMITED,
+        'Message rate limit exceeded'
+      );
+    }
+    const client = this.clients.get(ws.limits.ip);
+    if (client && !client.bucket.take()) {
+      return violation(
+        'ip-message-rate',
+        CloseCodes.RATE_LIMITED,
+        'Message rate limit exceeded for this address'
+      );
+    }
+    return null;
+  }
+
+  // Call for every GET /api/ice-servers
+  consumeIceServersRequest(req) {
+    const ip = this.clientIp(req);
+    let bucket = this.iceServersBuckets.get(ip);
+    if (!bucket) {
+      bucket = new TokenBucket(
+        this.limits.iceServersRate,
+        this.limits.iceServersBurst
+      );
+      this.iceServersBuckets.set(ip, bucket);
+    }
+    if (bucket.take()) return null;
+    return violation(
+      'ice-servers-rate',
+      null,
+      'ICE server request rate limit exceeded'
+    );
+  }
+
+  // Forget HTTP buckets that have refilled - call periodically
+  prune() {
+    for (const [ip, bucket] of this.iceServersBuckets) {
+      if (bucket.isFull()) this.iceServersBuckets.delete(ip);
+    }
+  }
+
+  // Call before a socket joins a room
+  joinRoom(ws, roomId) {
+    const { roomsJoined } = ws.limits;
+    if (
+      !roomsJoined.has(roomId) &&
+      roomsJoined.size >= this.limits.maxRoomsPerConnection
+    ) {
+      return violation(
+        'rooms-per-connection',
+        CloseCodes.TOO_MANY_ROOMS,
+        `Joined too many rooms (max ${this.limits.maxRoomsPerConnection})`
+      );
+    }
+
+    // Rooms this IP's other sockets are in right now
+    const client = this.clients.get(ws.limits.ip);
+    const ipRooms = new Set(
+      Array.from(client ? client.sockets : [])
+        .filter((socket) => socket !== ws && socket.room)
+        .map((socket) => socket.room)
+    );
+    ipRooms.add(roomId);
+    if (ipRooms.size > this.limits.maxRoomsPerIp) {
+      return violation(
+        'rooms-per-ip',
+        CloseCodes.TOO_MANY_ROOMS,
+        `Too many rooms joined from this address (max ${this.limits.maxRoomsPerIp})`
+      );
+    }
+
+    roomsJoined.add(roomId);
+    return null;
+  }
+}
+
+/**
+ * Failed PIN attempts, counted per IP and per room rather than per socket so
+ * reconnecting doesn't start over. Once either reaches its limit, joins from
+ * that IP or to that room are refused until the window since its first failure
+ * (pinLockout) has passed - even with the right PIN, or guessing would go on.
+ * Successful joins don't reset anything: an attacker could clear the count by
+ * joining a room of their own.
+ */
+class PinAttempts {
+  constructor(limits) {
+    this.limits = limits;
+    this.failures = new Map(); // 'ip:<ip>' | 'room:<id>' -> { count, resetAt }
+  }
+
+  keys(ip, roomId) {
+    return [
+      [`ip:${ip}`, this.limits.maxPinAttemptsPerIp],
+      [`room:${roomId}`, this.limits.maxPinAttemptsPerRoom],
+    ];
+  }
+
+  current(key) {
+    const entry = this.failures.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      this.failures.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // ms until `key` drops below `max` failures, 0 when it is below
+  remaining(key, max) {
+    const entry = this.current(key);
+    return entry && entry.count >= max ? entry.resetAt - Date.now() : 0;
+  }
+
+  // ms until joins from `ip` to secured rooms are allowed again, 0 when they are
+  lockedFor(ip) {
+    return this.remaining(`ip:${ip}`, this.limits.maxPinAttemptsPerIp);
+  }
+
+  // Count a wrong guess; returns ms until the IP or the room takes guesses again, 0 if both do
+  fail(ip, roomId) {
+    const keys = this.keys(ip, roomId);
+    for (const [key] of keys) {
+      const entry = this.current(key) || {
+        count: 0,
+        resetAt: Date.now() + this.limits.pinLockout * 1000,
+      };
+      entry.count += 1;
+      this.failures.set(key, entry);
+    }
+    return Math.max(0, ...keys.map(([key, max]) => this.remaining(key, max)));
+  }
+
+  // Forget expired windows - call periodically
+  prune() {
+    for (const key of this.failures.keys()) this.current(key);
+  }
+}
+
+module.exports = {
+  loadLimits,
+  TokenBucket,
+  ConnectionLimiter,
+  PinAttempts,
+};
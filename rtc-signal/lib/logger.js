@@ -0,0 +1,69 @@
+/**
+ * Structured JSON logger for the signaling server
+ *
+ * Same entry format as shared/logger.js, written one line per entry to stdout
+ * (debug, info) or stderr (warn, error). LOG_LEVEL=debug|info|warn|error|silent
+ * sets the minimum level, default info.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const STREAMS = {
+  debug: process.stdout,
+  info: process.stdout,
+  warn: process.stderr,
+  error: process.stderr,
+};
+
+const envLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const minimumLevel =
+  LOG_LEVELS[envLevel] !== undefined ? LOG_LEVELS[envLevel] : LOG_LEVELS.info;
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.stack ? { stack: error.stack } : {}),
+  };
+}
+
+function serializeFields(fields) {
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  const entry = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return entry;
+}
+
+/**
+ * @param {string} component - e.g. 'signaling', 'room-store'
+ * @param {object} [context] - fields added to every entry
+ */
+function createLogger(component, context = {}) {
+  const logger = {
+    child: (extra) => createLogger(component, { ...context, ...extra }),
+  };
+
+  for (const level of Object.keys(STREAMS)) {
+    logger[level] = (msg, fields) => {
+      if (LOG_LEVELS[level] < minimumLevel) return;
+      const entry = {
+        ts: new Date().toISOString(),
+        level,
+        component,
+        msg,
+        ...context,
+        ...serializeFields(fields),
+      };
+      STREAMS[level].write(JSON.stringify(entry) + '\n');
+    };
+  }
+
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+};
@@ -0,0 +1,141 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms rendered in the
+ * text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their rendered label set so label order doesn't matter
+function seriesKey(labels) {
+  return formatLabels(
+    Object.fromEntries(
+      Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))
+    )
+  );
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.values = new Map(); // seriesKey -> value
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  lines() {
+    // A labeled counter has no series until its first sample - a bare
+    // `name 0` would be a series without the labels later samples carry
+    if (!this.values.size && !this.labelNames.length) {
+      return [`${this.name} 0`];
+    }
+    return Array.from(
+      this.values,
+      ([key, value]) => `${this.name}${key} ${value}`
+    );
+  }
+}
+
+// Gauges are read at scrape time from a (possibly async) callback, so they never drift from the real state
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  async lines() {
+    return [`${this.name} ${await this.collect()}`];
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.counts = new Array(this.buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) this.counts[index]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  lines() {
+    return [
+      ...this.buckets.map(
+        (bound, index) =>
+          `${this.name}_bucket{le="${bound}"} ${this.counts[index]}`
+      ),
+      `${this.name}_bucket{le="+Inf"} ${this.count}`,
+      `${this.name}_sum ${this.sum}`,
+      `${this.name}_count ${this.count}`,
+    ];
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  async render() {
+    const blocks = await Promise.all(
+      this.metrics.map(async (metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...(await metric.lines()),
+      ])
+    );
+    return blocks.flat().join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Registry,
+};
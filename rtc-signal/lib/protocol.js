@@ -0,0 +1,173 @@
+/**
+ * Signaling protocol: message schema, validation and reply builders
+ * See PROTOCOL.md for the full message reference
+ */
+
+const PROTOCOL_VERSION = 1;
+
+const ErrorCodes = {
+  BAD_MESSAGE: 'BAD_MESSAGE', // Not JSON, or fails the schema for its type
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  NOT_IN_ROOM: 'NOT_IN_ROOM', // Sender of the message hasn't joined that room
+  PEER_NOT_IN_ROOM: 'PEER_NOT_IN_ROOM', // Signal target isn't in the room
+  ROOM_FULL: 'ROOM_FULL',
+  PIN_REQUIRED: 'PIN_REQUIRED',
+  INVALID_PIN: 'INVALID_PIN',
+  PIN_LOCKED: 'PIN_LOCKED', // Too many failed PINs from this IP or for this room, see retryAfter
+  SENDER_EXISTS: 'SENDER_EXISTS', // Sender join without the room's senderToken
+  SERVER_SHUTTING_DOWN: 'SERVER_SHUTTING_DOWN', // Join while the server drains
+};
+
+// WebSocket close codes the server uses - 4000-4999 are application-defined
+const CloseCodes = {
+  MESSAGE_TOO_BIG: 1009, // Enforced by `ws` itself for frames over MAX_MESSAGE_BYTES
+  SERVER_SHUTDOWN: 1012, // "Service Restart" - reconnect after the `server-shutdown` retry hint
+  TOO_MANY_PIN_ATTEMPTS: 4003,
+  REMOVED_BY_ADMIN: 4004,
+  RATE_LIMITED: 4008,
+  TOO_MANY_ROOMS: 4009,
+  TOO_MANY_SOCKETS: 4010,
+};
+
+const ROLES = ['offerer', 'answerer'];
+
+// Simulcast layers a viewer can ask the sender for - see PROTOCOL.md#simulcast
+const LAYERS = ['high', 'medium', 'low', 'auto'];
+
+// Read-only `query` names - see PROTOCOL.md#queries
+const QUERIES = ['room-status', 'room-members', 'capabilities'];
+
+// Field rules per message type - `v`, `type` and `id` are checked for every message
+const schemas = {
+  join: {
+    room: { type: 'string', maxLength: 64 },
+    role: { type: 'string', oneOf: ROLES },
+    pin: { type: ['string', 'number'], optional: true },
+    layer: { type: 'string', oneOf: LAYERS, optional: true }, // Viewers only
+    senderToken: { type: 'string', maxLength: 64, optional: true }, // Senders only
+    resumePeerId: { type: 'string', maxLength: 64, optional: true }, // From the last `joined`
+    resumeToken: { type: 'string', maxLength: 64, optional: true },
+  },
+  signal: {
+    room: { type: 'string', maxLength: 64 },
+    to: { type: 'string', maxLength: 64 },
+    data: { type: 'object' },
+  },
+  layer: {
+    room: { type: 'string', maxLength: 64 },
+    layer: { type: 'string', oneOf: LAYERS },
+  },
+  query: {
+    query: { type: 'string', oneOf: QUERIES },
+    room: { type: 'string', maxLength: 64, optional: true },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkField(name, rule, value) {
+  if (value === undefined) {
+    return rule.optional ? null : `"${name}" is required`;
+  }
+
+  const types = [].concat(rule.type);
+  if (!types.includes(typeOf(value))) {
+    return `"${name}" must be ${types.join(' or ')}`;
+  }
+  if (typeof value === 'string' && !value.length) {
+    return `"${name}" must not be empty`;
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return `"${name}" must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `"${name}" must be one of ${rule.oneOf.join(', ')}`;
+  }
+  return null;
+}
+
+function createError(code, message, extra = {}) {
+  return { type: 'error', code, message, ...extra };
+}
+
+function createAck(replyTo, extra = {}) {
+  return { type: 'ack', replyTo, ...extra };
+}
+
+function createResult(replyTo, query, result) {
+  return { type: 'result', query, ...result, replyTo };
+}
+
+/**
+ * Parse and validate a raw WebSocket frame.
+ * Returns { message } on success or { error } with a ready-to-send error reply.
+ */
+function parseMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return {
+      error: createError(ErrorCodes.BAD_MESSAGE, 'Message is not JSON'),
+    };
+  }
+
+  if (typeOf(message) !== 'object') {
+    return {
+      error: createError(ErrorCodes.BAD_MESSAGE, 'Message must be an object'),
+    };
+  }
+
+  const replyTo = ['string', 'number'].includes(typeof message.id)
+    ? message.id
+    : undefined;
+  const fail = (code, text) => ({
+    error: createError(code, text, replyTo !== undefined ? { replyTo } : {}),
+  });
+
+  // Clients that predate versioning speak v1
+  const version = message.v === undefined ? PROTOCOL_VERSION : message.v;
+  if (version !== PROTOCOL_VERSION) {
+    return fail(
+      ErrorCodes.UNSUPPORTED_VERSION,
+      `Protocol version ${version} is not supported (server speaks ${PROTOCOL_VERSION})`
+    );
+  }
+
+  if (typeof message.type !== 'string') {
+    return fail(ErrorCodes.BAD_MESSAGE, '"type" is required');
+  }
+  const schema = schemas[message.type];
+  if (!schema) {
+    return fail(
+      ErrorCodes.UNKNOWN_TYPE,
+      `Unknown message type "${message.type}"`
+    );
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const problem = checkField(name, rule, message[name]);
+    if (problem) return fail(ErrorCodes.BAD_MESSAGE, problem);
+  }
+
+  return { message: { ...message, v: version, id: replyTo } };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ErrorCodes,
+  CloseCodes,
+  ROLES,
+  LAYERS,
+  QUERIES,
+  schemas,
+  parseMessage,
+  createError,
+  createAck,
+  createResult,
+};
@@ -0,0 +1,259 @@
+/**
+ * Shared room store on Redis, so several signaling instances can serve one room
+ *
+ * Keys (under REDIS_PREFIX, default "rtc-signal:"):
+ *   room:<id>      hash - pin, sessionId, senderToken, createdAt and one "peer:<peerId>" field per participant
+ *   rooms          set  - ids of every room
+ *   activity:<id>  list - recent room events as JSON, newest first
+ *   instance:<id>  string with a TTL, refreshed while the instance is running
+ * Messages for a participant on another instance are published to relay:<instanceId>.
+ *
+ * Instances race each other on a room's keys: membership changes run in a MULTI, and the
+ * ones that decide on what they read first WATCH the room (see transaction).
+ */
+
+const crypto = require('crypto');
+const { createClient, WatchError } = require('redis');
+const { ACTIVITY_LIMIT, buildRoom } = require('./roomStore');
+const { createLogger } = require('./logger');
+
+const log = createLogger('room-store');
+
+const PEER_FIELD = 'peer:';
+const INSTANCE_TTL = 30000; // ms - participants of an instance silent this long are dropped
+const TRANSACTION_ATTEMPTS = 5; // A room written to this often in a row is not idle
+
+class RedisRoomStore {
+  constructor({ url, prefix = 'rtc-signal:' }) {
+    this.instanceId = crypto.randomUUID();
+    this.prefix = prefix;
+    this.client = createClient({ url });
+    this.subscriber = this.client.duplicate(); // Subscribed connections can't run commands
+    this.relayHandler = null;
+    this.heartbeatTimer = null;
+
+    const logError = (error) => log.error('Redis connection error', error);
+    this.client.on('error', logError);
+    this.subscriber.on('error', logError);
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  async connect() {
+    await Promise.all([this.client.connect(), this.subscriber.connect()]);
+    await this.subscriber.subscribe(
+      this.key('relay', this.instanceId),
+      (raw) => {
+        try {
+          if (this.relayHandler) this.relayHandler(JSON.parse(raw));
+        } catch (error) {
+          log.warn('Dropped malformed relay envelope', error);
+        }
+      }
+    );
+
+    await this.heartbeat();
+    this.heartbeatTimer = setInterval(
+      () => this.heartbeat().catch(() => {}), // Reported by the 'error' listener
+      INSTANCE_TTL / 3
+    );
+    log.info('Redis room store connected', { instanceId: this.instanceId });
+  }
+
+  heartbeat() {
+    return this.client.set(
+      this.key('instance', this.instanceId),
+      String(Date.now()),
+      { PX: INSTANCE_TTL }
+    );
+  }
+
+  /**
+   * Run `fn(client)` on a connection of its own with `keys` WATCHed, so the MULTI it ends with
+   * fails if another instance wrote them since fn read them - and then run it again.
+   */
+  async transaction(keys, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.client.executeIsolated(async (client) => {
+          await client.watch(keys);
+          try {
+            return await fn(client);
+          } finally {
+            await client.unwatch(); // fn may return without a MULTI
+          }
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError) || attempt >= TRANSACTION_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // A room hash's participants, split by whether their instance is still heartbeating
+  async splitParticipants(fields, client = this.client) {
+    const participants = Object.keys(fields)
+      .filter((field) => field.startsWith(PEER_FIELD))
+      .map((field) => JSON.parse(fields[field]));
+
+    const instanceIds = [...new Set(participants.map((p) => p.instanceId))];
+    const heartbeats = instanceIds.length
+      ? await client.mGet(instanceIds.map((id) => this.key('instance', id)))
+      : [];
+    const deadInstances = new Set(
+      instanceIds.filter((id, index) => heartbeats[index] === null)
+    );
+
+    return {
+      live: participants.filter((p) => !deadInstances.has(p.instanceId)),
+      stale: participants.filter((p) => deadInstances.has(p.instanceId)),
+    };
+  }
+
+  // Read a room, dropping participants whose instance stopped heartbeating
+  async readRoom(roomId) {
+    const roomKey = this.key('room', roomId);
+    const fields = await this.client.hGetAll(roomKey);
+    if (!fields.createdAt) return null;
+
+    const { live, stale } = await this.splitParticipants(fields);
+    if (stale.length) {
+      await this.client.hDel(
+        roomKey,
+        stale.map((p) => PEER_FIELD + p.peerId)
+      );
+    }
+    if (!live.length) {
+      // Someone joined since - read it again
+      if (!(await this.deleteRoomIfEmpty(roomId))) return this.readRoom(roomId);
+      return null;
+    }
+
+    return buildRoom(roomId, {
+      pin: fields.pin,
+      sessionId: fields.sessionId,
+      senderToken: fields.senderToken,
+      createdAt: Number(fields.createdAt),
+      participants: live,
+    });
+  }
+
+  // Delete a room nobody live is in. False when a participant was added meanwhile.
+  deleteRoomIfEmpty(roomId) {
+    const roomKey = this.key('room', roomId);
+    return this.transaction(roomKey, async (client) => {
+      const fields = await client.hGetAll(roomKey);
+      const { live } = await this.splitParticipants(fields, client);
+      if (live.length) return false;
+      await client
+        .multi()
+        .del([roomKey, this.key('activity', roomId)])
+        .sRem(this.key('rooms'), roomId)
+        .exec();
+      return true;
+    });
+  }
+
+  getRoom(roomId) {
+    return this.readRoom(roomId);
+  }
+
+  async listRooms() {
+    const roomIds = await this.client.sMembers(this.key('rooms'));
+    const rooms = await Promise.all(roomIds.map((id) => this.readRoom(id)));
+    return rooms.filter(Boolean);
+  }
+
+  // One MULTI, so deleteRoomIfEmpty can't land between creating the room and joining it
+  async addParticipant(roomId, participant) {
+    const roomKey = this.key('room', roomId);
+    await this.client
+      .multi()
+      .hSetNX(roomKey, 'createdAt', String(Date.now()))
+      .hSet(
+        roomKey,
+        PEER_FIELD + participant.peerId,
+        JSON.stringify(participant)
+      )
+      .sAdd(this.key('rooms'), roomId)
+      .exec();
+    return this.readRoom(roomId);
+  }
+
+  // Read and delete in one MULTI - of two instances removing the same peer, one gets it
+  async removeParticipant(roomId, peerId) {
+    const roomKey = this.key('room', roomId);
+    const [stored, createdAt] = await this.client
+      .multi()
+      .hGet(roomKey, PEER_FIELD + peerId)
+      .hGet(roomKey, 'createdAt')
+      .hDel(roomKey, PEER_FIELD + peerId)
+      .exec();
+    const room = await this.readRoom(roomId);
+    if (!stored) return { removed: null, room, createdAt: null };
+    return {
+      removed: JSON.parse(stored),
+      room,
+      createdAt: Number(createdAt),
+    };
+  }
+
+  // Only while the room exists - writing to a deleted one would leave a hash behind
+  async updateRoom(roomId, { pin, sessionId, senderToken }) {
+    const fields = {
+      ...(pin !== undefined ? { pin } : {}),
+      ...(sessionId !== undefined ? { sessionId } : {}),
+      ...(senderToken !== undefined ? { senderToken } : {}),
+    };
+    if (!Object.keys(fields).length) return;
+    const roomKey = this.key('room', roomId);
+    await this.transaction(roomKey, async (client) => {
+      if (!(await client.exists(roomKey))) return;
+      await client.multi().hSet(roomKey, fields).exec();
+    });
+  }
+
+  async recordActivity(roomId, event) {
+    if (!(await this.client.exists(this.key('room', roomId)))) return;
+    const activityKey = this.key('activity', roomId);
+    await this.client.lPush(activityKey, JSON.stringify(event));
+    await this.client.lTrim(activityKey, 0, ACTIVITY_LIMIT - 1);
+  }
+
+  async getActivity(roomId) {
+    const events = await this.client.lRange(
+      this.key('activity', roomId),
+      0,
+      ACTIVITY_LIMIT - 1
+    );
+    return events.map((event) => JSON.parse(event));
+  }
+
+  async relay(participant, envelope) {
+    if (participant.instanceId === this.instanceId) {
+      if (this.relayHandler) this.relayHandler(envelope);
+      return;
+    }
+    await this.client.publish(
+      this.key('relay', participant.instanceId),
+      JSON.stringify(envelope)
+    );
+  }
+
+  onRelay(handler) {
+    this.relayHandler = handler;
+  }
+
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    await this.client.del(this.key('instance', this.instanceId));
+    await Promise.all([this.subscriber.quit(), this.client.quit()]);
+  }
+}
+
+module.exports = {
+  RedisRoomStore,
+};
@@ -0,0 +1,175 @@
+/**
+ * Room & presence stores
+ *
+ * A store keeps each room's PIN, creation time and participants, and relays
+ * messages to participants whose socket lives on another server instance.
+ * Every method returns a promise so backends can be swapped freely:
+ *
+ *   connect()                            - open connections, start relaying
+ *   getRoom(roomId)                      -> room | null
+ *   listRooms()                          -> room[]
+ *   addParticipant(roomId, participant)  -> room (created on first join)
+ *   removeParticipant(roomId, peerId)    -> { removed, room, createdAt } - room is null once empty
+ *   updateRoom(roomId, fields)           - set room fields: pin, sessionId, senderToken
+ *   recordActivity(roomId, event)        - append to the room's recent activity (existing rooms only)
+ *   getActivity(roomId)                  -> event[], newest first, at most ACTIVITY_LIMIT
+ *   relay(participant, envelope)         - hand an envelope to the instance owning the participant
+ *   onRelay(handler)                     - handler(envelope) for envelopes addressed to this instance
+ *   close()
+ *
+ * room        = { id, pin, sessionId, senderToken, createdAt, offerer: participant|null, viewers: Map<peerId, participant> }
+ * participant = { peerId, room, role, pin, layer (viewers), resumeToken, joinedAt,
+ *                 disconnectedAt (dropped, within the reconnect grace), instanceId }
+ */
+
+const crypto = require('crypto');
+
+const ACTIVITY_LIMIT = 50; // Recent events kept per room for the admin API
+
+// Shape stored participants into a room; the newest offerer wins if two raced
+function buildRoom(
+  id,
+  { pin, sessionId, senderToken, createdAt, participants }
+) {
+  const room = {
+    id,
+    pin: pin || null,
+    sessionId: sessionId || null,
+    senderToken: senderToken || null,
+    createdAt,
+    offerer: null,
+    viewers: new Map(),
+  };
+  for (const participant of participants) {
+    if (participant.role === 'answerer') {
+      room.viewers.set(participant.peerId, participant);
+    } else if (!room.offerer || room.offerer.joinedAt < participant.joinedAt) {
+      room.offerer = participant;
+    }
+  }
+  return room;
+}
+
+// Default store: state lives in this process, so every participant is local
+class MemoryRoomStore {
+  constructor() {
+    this.instanceId = crypto.randomUUID();
+    this.rooms = new Map(); // roomId -> { pin, sessionId, senderToken, createdAt, participants: Map<peerId, participant>, activity: event[] }
+    this.relayHandler = null;
+  }
+
+  async connect() {}
+
+  async getRoom(roomId) {
+    const state = this.rooms.get(roomId);
+    return state ? buildRoom(roomId, this.snapshot(state)) : null;
+  }
+
+  async listRooms() {
+    return Array.from(this.rooms, ([roomId, state]) =>
+      buildRoom(roomId, this.snapshot(state))
+    );
+  }
+
+  async addParticipant(roomId, participant) {
+    let state = this.rooms.get(roomId);
+    if (!state) {
+      state = {
+        pin: null,
+        sessionId: null,
+        senderToken: null,
+        createdAt: Date.now(),
+        participants: new Map(),
+        activity: [],
+      };
+      this.rooms.set(roomId, state);
+    }
+    state.participants.set(participant.peerId, participant);
+    return buildRoom(roomId, this.snapshot(state));
+  }
+
+  async removeParticipant(roomId, peerId) {
+    const state = this.rooms.get(roomId);
+    const removed = (state && state.participants.get(peerId)) || null;
+    if (!removed) {
+      return { removed, room: await this.getRoom(roomId), createdAt: null };
+    }
+
+    state.participants.delete(peerId);
+    if (!state.participants.size) {
+      this.rooms.delete(roomId);
+      return { removed, room: null, createdAt: state.createdAt };
+    }
+    return {
+      removed,
+      room: buildRoom(roomId, this.snapshot(state)),
+      createdAt: state.createdAt,
+    };
+  }
+
+  async updateRoom(roomId, { pin, sessionId, senderToken }) {
+    const state = this.rooms.get(roomId);
+    if (!state) return;
+    if (pin !== undefined) state.pin = pin;
+    if (sessionId !== undefined) state.sessionId = sessionId;
+    if (senderToken !== undefined) state.senderToken = senderToken;
+  }
+
+  async recordActivity(roomId, event) {
+    const state = this.rooms.get(roomId);
+    if (!state) return;
+    state.activity.unshift(event);
+    state.activity.length = Math.min(state.activity.length, ACTIVITY_LIMIT);
+  }
+
+  async getActivity(roomId) {
+    const state = this.rooms.get(roomId);
+    return state ? [...state.activity] : [];
+  }
+
+  async relay(participant, envelope) {
+    if (this.relayHandler) this.relayHandler(envelope);
+  }
+
+  onRelay(handler) {
+    this.relayHandler = handler;
+  }
+
+  async close() {}
+
+  snapshot(state) {
+    return {
+      pin: state.pin,
+      sessionId: state.sessionId,
+      senderToken: state.senderToken,
+      createdAt: state.createdAt,
+      participants: state.participants.values(),
+    };
+  }
+}
+
+/**
+ * Pick the store from the environment:
+ *   ROOM_STORE=memory (default) - single instance
+ *   ROOM_STORE=redis            - shared through REDIS_URL (default redis://localhost:6379)
+ */
+function createRoomStore(env = process.env) {
+  const backend = (env.ROOM_STORE || 'memory').toLowerCase();
+  if (backend === 'memory') return new MemoryRoomStore();
+  if (backend === 'redis') {
+    // Only load the Redis client when it's actually used
+    const { RedisRoomStore } = require('./redisRoomStore');
+    return new RedisRoomStore({
+      url: env.REDIS_URL || 'redis://localhost:6379',
+      prefix: env.REDIS_PREFIX,
+    });
+  }
+  throw new Error(`Unknown ROOM_STORE "${env.ROOM_STORE}"`);
+}
+
+module.exports = {
+  ACTIVITY_LIMIT,
+  buildRoom,
+  MemoryRoomStore,
+  createRoomStore,
+};
@@ -0,0 +1,70 @@
+/**
+ * ICE server configuration with ephemeral TURN credentials
+ * Uses the TURN REST API shared-secret scheme (coturn `use-auth-secret`)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+];
+
+function splitList(value) {
+  if (!value) return null;
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function loadTurnConfig(env = process.env) {
+  return {
+    stunUrls: splitList(env.STUN_URLS) || DEFAULT_STUN_URLS,
+    turnUrls: splitList(env.TURN_URLS) || [],
+    secret: env.TURN_SECRET || null,
+    ttl: parseInt(env.TURN_TTL) || 3600, // seconds
+  };
+}
+
+// username = "<expiry unix time>:<label>", credential = base64(HMAC-SHA1(secret, username))
+function mintTurnCredentials(secret, ttl, label = 'screen-mirror') {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${label}`;
+  const credential = crypto
+    .createHmac('sha1', secret)
+    .update(username)
+    .digest('base64');
+  return { username, credential, expiresAt };
+}
+
+/**
+ * Build the `iceServers` list handed to clients. TURN entries are only included
+ * when both TURN_URLS and TURN_SECRET are configured and `turn` is set - the
+ * server only sets it for room participants, so the relay isn't open to anyone.
+ */
+function getIceServers(config, { turn = false, label } = {}) {
+  const iceServers = [];
+  if (config.stunUrls.length) {
+    iceServers.push({ urls: config.stunUrls });
+  }
+
+  let expiresAt = null;
+  if (turn && config.secret && config.turnUrls.length) {
+    const credentials = mintTurnCredentials(config.secret, config.ttl, label);
+    expiresAt = credentials.expiresAt;
+    iceServers.push({
+      urls: config.turnUrls,
+      username: credentials.username,
+      credential: credentials.credential,
+    });
+  }
+
+  return { iceServers, ttl: config.ttl, expiresAt };
+}
+
+module.exports = {
+  loadTurnConfig,
+  mintTurnCredentials,
+  getIceServers,
+};
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+/**
+ * Lightweight Redis stand-in for trying ROOM_STORE=redis locally without
+ * installing Redis. Speaks just enough RESP2 for lib/redisRoomStore.js:
+ * strings with PX expiry, hashes, sets, lists, pub/sub and MULTI/EXEC with WATCH.
+ * Data lives in memory.
+ *
+ *   node scripts/dev-redis.js            # listens on 6379 (or DEV_REDIS_PORT)
+ *   ROOM_STORE=redis PORT=8080 npm start
+ *   ROOM_STORE=redis PORT=8081 npm start
+ */
+
+const net = require('net');
+
+const PORT = parseInt(process.env.DEV_REDIS_PORT) || 6379;
+
+const db = new Map(); // key -> { value: string|Map|Set|Array, expiresAt: ms|null }
+const channels = new Map(); // channel -> Set<socket>
+const versions = new Map(); // key -> writes so far, for WATCH
+
+// Commands that modify their keys - the first argument, or every argument for DEL
+const WRITES = new Set([
+  'SET',
+  'DEL',
+  'HSET',
+  'HSETNX',
+  'HDEL',
+  'SADD',
+  'SREM',
+  'LPUSH',
+  'LTRIM',
+]);
+const TRANSACTION_COMMANDS = new Set([
+  'MULTI',
+  'EXEC',
+  'DISCARD',
+  'WATCH',
+  'UNWATCH',
+]);
+
+// RESP encoders
+const simple = (text) => `+${text}\r\n`;
+const error = (text) => `-ERR ${text}\r\n`;
+const integer = (n) => `:${n}\r\n`;
+const bulk = (value) =>
+  value === null || value === undefined
+    ? '$-1\r\n'
+    : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+const array = (encoded) => `*${encoded.length}\r\n${encoded.join('')}`;
+const nullArray = () => '*-1\r\n';
+
+function lookup(key, type) {
+  const entry = db.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    db.delete(key);
+    return null;
+  }
+  if (type && !(entry.value instanceof type)) {
+    throw new Error(
+      'WRONGTYPE Operation against a key holding the wrong kind of value'
+    );
+  }
+  return entry;
+}
+
+function stringValue(key) {
+  const entry = lookup(key);
+  return entry && typeof entry.value === 'string' ? entry.value : null;
+}
+
+function collection(key, Type) {
+  const entry = lookup(key, Type);
+  if (entry) return entry.value;
+  const value = new Type();
+  db.set(key, { value, expiresAt: null });
+  return value;
+}
+
+// Drop hashes and sets once their last member is removed, like Redis does
+function pruneEmpty(key) {
+  const entry = db.get(key);
+  const size = entry && (entry.value.size ?? entry.value.length);
+  if (entry && typeof entry.value !== 'string' && !size) {
+    db.delete(key);
+  }
+}
+
+const commands = {
+  PING: () => simple('PONG'),
+  CLIENT: () => simple('OK'),
+  SELECT: () => simple('OK'),
+
+  SET: ([key, value, ...options]) => {
+    let expiresAt = null;
+    for (let i = 0; i < options.length; i += 2) {
+      const option = options[i].toUpperCase();
+      if (option === 'PX') expiresAt = Date.now() + Number(options[i + 1]);
+      if (option === 'EX')
+        expiresAt = Date.now() + Number(options[i + 1]) * 1000;
+    }
+    db.set(key, { value: String(value), expiresAt });
+    return simple('OK');
+  },
+  GET: ([key]) => bulk(stringValue(key)),
+  MGET: (keys) => array(keys.map((key) => bulk(stringValue(key)))),
+  DEL: (keys) =>
+    integer(keys.filter((key) => lookup(key) && db.delete(key)).length),
+  EXISTS: (keys) => integer(keys.filter((key) => lookup(key)).length),
+
+  HSET: ([key, ...pairs]) => {
+    const hash = collection(key, Map);
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hash.has(pairs[i])) added++;
+      hash.set(pairs[i], pairs[i + 1]);
+    }
+    return integer(added);
+  },
+  HSETNX: ([key, field, value]) => {
+    const hash = collection(key, Map);
+    if (hash.has(field)) return integer(0);
+    hash.set(field, value);
+    return integer(1);
+  },
+  HGET: ([key, field]) => {
+    const entry = lookup(key, Map);
+    return bulk(entry ? entry.value.get(field) : null);
+  },
+  HGETALL: ([key]) => {
+    const entry = lookup(key, Map);
+    return array(entry ? Array.from(entry.value).flat().map(bulk) : []);
+  },
+  HDEL: ([key, ...fields]) => {
+    const entry = lookup(key, Map);
+    if (!entry) return integer(0);
+    const removed = fields.filter((field) => entry.value.delete(field)).length;
+    pruneEmpty(key);
+    return integer(removed);
+  },
+
+  SADD: ([key, ...members]) => {
+    const set = collection(key, Set);
+    const added = members.filter(
+      (member) => !set.has(member) && set.add(member)
+    );
+    return integer(added.length);
+  },
+  SREM: ([key, ...members]) => {
+    const entry = lookup(key, Set);
+    if (!entry) return integer(0);
+    const removed = members.filter((member) =>
+      entry.value.delete(member)
+    ).length;
+    pruneEmpty(key);
+    return integer(removed);
+  },
+  SMEMBERS: ([key]) => {
+    const entry = lookup(key, Set);
+    return array(entry ? Array.from(entry.value).map(bulk) : []);
+  },
+
+  LPUSH: ([key, ...values]) => {
+    const list = collection(key, Array);
+    list.unshift(...values.reverse());
+    return integer(list.length);
+  },
+  LTRIM: ([key, start, stop]) => {
+    const entry = lookup(key, Array);
+    if (!entry) return simple('OK');
+    entry.value = listRange(entry.value, start, stop);
+    pruneEmpty(key);
+    return simple('OK');
+  },
+  LRANGE: ([key, start, stop]) => {
+    const entry = lookup(key, Array);
+    return array(entry ? listRange(entry.value, start, stop).map(bulk) : []);
+  },
+
+  PUBLISH: ([channel, message]) => {
+    const subscribers = channels.get(channel) || new Set();
+    subscribers.forEach((socket) =>
+      socket.write(array([bulk('message'), bulk(channel), bulk(message)]))
+    );
+    return integer(subscribers.size);
+  },
+  SUBSCRIBE: (names, socket) =>
+    names
+      .map((channel) => {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(socket);
+        socket.subscriptions.add(channel);
+        return array([
+          bulk('subscribe'),
+          bulk(channel),
+          integer(socket.subscriptions.size),
+        ]);
+      })
+      .join(''),
+  UNSUBSCRIBE: (names, socket) => {
+    const targets = names.length ? names : Array.from(socket.subscriptions);
+    return targets
+      .map((channel) => {
+        unsubscribe(socket, channel);
+        return array([
+          bulk('unsubscribe'),
+          bulk(channel),
+          integer(socket.subscriptions.size),
+        ]);
+      })
+      .join('');
+  },
+  // Queued commands run back to back - nothing else can interleave in this process. EXEC
+  // fails with a null reply if a WATCHed key was written since WATCH.
+  MULTI: (args, socket) => {
+    if (socket.queued) return error('MULTI calls can not be nested');
+    socket.queued = [];
+    return simple('OK');
+  },
+  EXEC: (args, socket) => {
+    const queued = socket.queued;
+    if (!queued) return error('EXEC without MULTI');
+    const aborted = Array.from(socket.watched).some(
+      ([key, version]) => (versions.get(key) || 0) !== version
+    );
+    socket.queued = null;
+    socket.watched.clear();
+    if (aborted) return nullArray();
+    return array(queued.map((command) => execute(command, socket)));
+  },
+  DISCARD: (args, socket) => {
+    if (!socket.queued) return error('DISCARD without MULTI');
+    socket.queued = null;
+    socket.watched.clear();
+    return simple('OK');
+  },
+  WATCH: (keys, socket) => {
+    if (socket.queued) return error('WATCH inside MULTI is not allowed');
+    keys.forEach((key) => socket.watched.set(key, versions.get(key) || 0));
+    return simple('OK');
+  },
+  UNWATCH: (args, socket) => {
+    socket.watched.clear();
+    return simple('OK');
+  },
+
+  QUIT: (args, socket) => {
+    socket.end(simple('OK'));
+    return '';
+  },
+};
+
+// Run one command, counting writes for WATCH; errors become error replies
+function execute([name, ...args], socket) {
+  const command = name.toUpperCase();
+  const handler = commands[command];
+  if (!handler) return error(`unknown command '${name}'`);
+  try {
+    const reply = handler(args, socket);
+    if (WRITES.has(command)) {
+      (command === 'DEL' ? args : args.slice(0, 1)).forEach((key) =>
+        versions.set(key, (versions.get(key) || 0) + 1)
+      );
+    }
+    return reply;
+  } catch (err) {
+    return `-${err.message}\r\n`;
+  }
+}
+
+// Inclusive range with Redis-style negative indexes
+function listRange(list, start, stop) {
+  const from = Number(start) < 0 ? list.length + Number(start) : Number(start);
+  const to = Number(stop) < 0 ? list.length + Number(stop) : Number(stop);
+  return list.slice(Math.max(from, 0), to + 1);
+}
+
+function unsubscribe(socket, channel) {
+  socket.subscriptions.delete(channel);
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+  subscribers.delete(socket);
+  if (!subscribers.size) channels.delete(channel);
+}
+
+// Parse as many complete RESP arrays as the buffer holds; returns [commands, rest]
+function parse(buffer) {
+  const parsed = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0x2a /* '*' */) {
+      // Inline command, e.g. typed into `nc localhost 6379`
+      const end = buffer.indexOf('\r\n', offset);
+      if (end === -1) break;
+      parsed.push(buffer.toString('utf8', offset, end).trim().split(/\s+/));
+      offset = end + 2;
+      continue;
+    }
+
+    const headerEnd = buffer.indexOf('\r\n', offset);
+    if (headerEnd === -1) break;
+    const count = Number(buffer.toString('utf8', offset + 1, headerEnd));
+    let cursor = headerEnd + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf('\r\n', cursor);
+      if (lengthEnd === -1) break;
+      const length = Number(buffer.toString('utf8', cursor + 1, lengthEnd));
+      if (lengthEnd + 2 + length + 2 > buffer.length) break;
+      args.push(buffer.toString('utf8', lengthEnd + 2, lengthEnd + 2 + length));
+      cursor = lengthEnd + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    parsed.push(args);
+    offset = cursor;
+  }
+  return [parsed, buffer.subarray(offset)];
+}
+
+const server = net.createServer((socket) => {
+  socket.subscriptions = new Set();
+  socket.queued = null; // Commands after MULTI, until EXEC or DISCARD
+  socket.watched = new Map(); // key -> version when WATCHed
+  let pending = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    const [parsed, rest] = parse(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const command of parsed) {
+      if (!command[0]) continue;
+      if (
+        socket.queued &&
+        !TRANSACTION_COMMANDS.has(command[0].toUpperCase())
+      ) {
+        socket.queued.push(command);
+        socket.write(simple('QUEUED'));
+        continue;
+      }
+      socket.write(execute(command, socket));
+    }
+  });
+
+  const cleanup = () =>
+    Array.from(socket.subscriptions).forEach((channel) =>
+      unsubscribe(socket, channel)
+    );
+  socket.on('close', cleanup);
+  socket.on('error', cleanup);
+});
+
+server.listen(PORT, () =>
+  console.log(
+    `🧪 Dev Redis stand-in listening on :${PORT} (in-memory, not for production)`
+  )
+);
@@ -1,87 +1,1041 @@
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const path = require('path');
+const crypto = require('crypto');
+const {
+  PROTOCOL_VERSION,
+  ErrorCodes,
+  CloseCodes,
+  ROLES,
+  LAYERS,
+  QUERIES,
+  schemas,
+  parseMessage,
+  createError,
+  createAck,
+  createResult,
+} = require('./lib/protocol');
+const { loadTurnConfig, getIceServers } = require('./lib/turn');
+const { Registry, CONTENT_TYPE } = require('./lib/metrics');
+const { createRoomStore } = require('./lib/roomStore');
+const { createAdminRouter } = require('./lib/admin');
+const { loadLimits, ConnectionLimiter, PinAttempts } = require('./lib/limits');
+const { createLogger } = require('./lib/logger');
+const log = createLogger('signaling');
 const app = express();
 app.use(express.json());
 
 // Serve static files from the parent directory (where web-receiver.html is located)
 app.use(express.static(path.join(__dirname, '..')));
+// Client modules (logger) for pages served from here, wherever the server is deployed
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 
-const rooms = new Map(); // roomId -> { offerer:ws, answerer:ws }
+// Rooms and presence live in the room store (ROOM_STORE=memory|redis, see lib/roomStore.js);
+// sockets only ever live on the instance they connected to
+const store = createRoomStore();
+const sockets = new Map(); // peerId -> ws on this instance
 
-// Health check endpoint for Docker
-app.get('/health', (req, res) => {
+// Room access control - the sender's first join secures the room with a PIN
+const REQUIRE_ROOM_PIN = process.env.REQUIRE_ROOM_PIN !== 'false';
+const PIN_LENGTH = 6;
+const PIN_PATTERN = /^[A-Za-z0-9_-]{4,64}$/; // Numeric PIN or longer token
+
+const MAX_VIEWERS_PER_ROOM = parseInt(process.env.MAX_VIEWERS_PER_ROOM) || 16;
+
+// A dropped socket keeps its place this long, so a client back in time resumes its peer id
+// and its peers' media never stops - see suspendParticipant
+const RECONNECT_GRACE = (parseInt(process.env.RECONNECT_GRACE) || 20) * 1000;
+const graceTimers = new Map(); // peerId -> { roomId, timer } for participants suspended here
+
+// Simulcast layer for viewers that don't ask for one - 'auto' leaves it to the sender
+const DEFAULT_VIEWER_LAYER = LAYERS.includes(process.env.DEFAULT_VIEWER_LAYER)
+  ? process.env.DEFAULT_VIEWER_LAYER
+  : 'auto';
+
+// Graceful shutdown on SIGTERM/SIGINT
+const SHUTDOWN_RETRY_AFTER = parseInt(process.env.SHUTDOWN_RETRY_AFTER) || 2000; // ms, clients add up to as much again as jitter
+const SHUTDOWN_GRACE = 3000; // ms for clients to acknowledge the close before they're cut off
+const SHUTDOWN_TIMEOUT = 10000; // ms before giving up and exiting anyway
+let shuttingDown = false;
+
+// Abuse limits - see lib/limits.js for the env vars
+const limits = loadLimits();
+const limiter = new ConnectionLimiter(limits);
+const pinAttempts = new PinAttempts(limits); // Per IP and room, survives reconnects
+const limitViolations = {}; // limit -> count, reported in /api/stats
+
+// Prometheus metrics, served on /metrics
+const metrics = new Registry();
+const joinsTotal = metrics.counter(
+  'signaling_joins_total',
+  'Successful room joins by role',
+  ['role']
+);
+const signalsRelayedTotal = metrics.counter(
+  'signaling_signals_relayed_total',
+  'Signals delivered to a peer'
+);
+const messagesRejectedTotal = metrics.counter(
+  'signaling_messages_rejected_total',
+  'Messages answered with an error, by error code',
+  ['code']
+);
+const heartbeatTerminationsTotal = metrics.counter(
+  'signaling_heartbeat_terminations_total',
+  'Sockets terminated for missing a heartbeat pong'
+);
+ROLES.forEach((role) => joinsTotal.inc({ role }, 0));
+const limitViolationsTotal = metrics.counter(
+  'signaling_limit_violations_total',
+  'Sockets closed for breaking a rate or size limit, by limit',
+  ['limit']
+);
+const roomLifetimeSeconds = metrics.histogram(
+  'signaling_room_lifetime_seconds',
+  'Time from room creation until its last participant left',
+  [10, 30, 60, 300, 900, 1800, 3600, 7200, 14400, 28800]
+);
+
+function send(ws, message) {
+  if (ws && ws.readyState === 1) {
+    ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+  }
+}
+
+function sendError(ws, code, message, extra = {}) {
+  messagesRejectedTotal.inc({ code });
+  send(ws, createError(code, message, extra));
+}
+
+// Echo the client's message id so it can match replies to requests
+function replyFields(id) {
+  return id !== undefined ? { replyTo: id } : {};
+}
+
+function generatePin() {
+  return crypto
+    .randomInt(0, 10 ** PIN_LENGTH)
+    .toString()
+    .padStart(PIN_LENGTH, '0');
+}
+
+// PINs and sender tokens
+function secretMatches(expected, provided) {
+  if (typeof provided !== 'string' || provided.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+}
+
+function pinError(roomId, pin, id) {
+  const code = pin ? ErrorCodes.INVALID_PIN : ErrorCodes.PIN_REQUIRED;
+  messagesRejectedTotal.inc({ code });
+  return createError(
+    code,
+    pin ? 'Incorrect room PIN' : 'This room requires a PIN',
+    { room: roomId, ...replyFields(id) }
+  );
+}
+
+const PIN_LOCKOUT_VIOLATION = {
+  limit: 'pin-attempts',
+  code: CloseCodes.TOO_MANY_PIN_ATTEMPTS,
+  reason: 'Too many PIN attempts',
+};
+
+function rejectJoin(ws, roomId, pin, id) {
+  // Only wrong guesses count - joining without a PIN is how viewers learn they need one
+  const lockedFor = pin ? pinAttempts.fail(ws.limits.ip, roomId) : 0;
+  if (lockedFor) {
+    lockOutJoin(ws, roomId, lockedFor, id);
+    return;
+  }
+  send(ws, pinError(roomId, pin, id));
+  recordActivity(roomId, {
+    type: 'join-rejected',
+    peerId: ws.peerId,
+    code: pin ? ErrorCodes.INVALID_PIN : ErrorCodes.PIN_REQUIRED,
+  });
+}
+
+// A wrong guess while the IP or the room is locked out, or any join from a locked-out IP
+function lockOutJoin(ws, roomId, lockedFor, id) {
+  sendError(
+    ws,
+    ErrorCodes.PIN_LOCKED,
+    'Too many incorrect PINs, try again later',
+    { room: roomId, retryAfter: lockedFor, ...replyFields(id) }
+  );
+  recordActivity(roomId, {
+    type: 'join-rejected',
+    peerId: ws.peerId,
+    code: ErrorCodes.PIN_LOCKED,
+  });
+  closeForViolation(ws, PIN_LOCKOUT_VIOLATION);
+}
+
+function participantCount(entry) {
+  return (entry.offerer ? 1 : 0) + entry.viewers.size;
+}
+
+// Recent room events for the admin API - never message contents
+function recordActivity(roomId, event) {
+  store
+    .recordActivity(roomId, { at: new Date().toISOString(), ...event })
+    .catch((error) =>
+      log.error('Recording room activity failed', { room: roomId, error })
+    );
+}
+
+function describeSignal(data) {
+  if (data.sdp) return data.sdp.type || 'sdp';
+  if (data.ice || data.candidate) return 'ice';
+  return 'other';
+}
+
+/**
+ * Deliver to a participant wherever its socket lives. `detach` also clears the
+ * room from that socket, for participants removed by someone else; `close`
+ * then closes the socket with CloseCodes.REMOVED_BY_ADMIN.
+ */
+function deliver(participant, message, { detach = false, close = false } = {}) {
+  const envelope = {
+    to: participant.peerId,
+    room: participant.room,
+    message,
+    detach,
+    close,
+  };
+  store.relay(participant, envelope).catch((error) =>
+    log.error('Relay failed', {
+      room: participant.room,
+      to: participant.peerId,
+      error,
+    })
+  );
+}
+
+// Envelopes for sockets on this instance, from deliver() here or on another instance
+function handleRelay({ to, room, message, detach, close }) {
+  const ws = sockets.get(to);
+  if (!ws) return;
+  if (detach && ws.room === room) {
+    ws.room = null;
+    ws.role = null;
+  }
+  if (message) send(ws, message);
+  if (close) ws.close(CloseCodes.REMOVED_BY_ADMIN, 'Removed by administrator');
+}
+
+function recordViolation(limit, message, fields) {
+  limitViolations[limit] = (limitViolations[limit] || 0) + 1;
+  limitViolationsTotal.inc({ limit });
+  log.warn(message, { ...fields, limit });
+}
+
+function countViolation(ws, limit, reason) {
+  recordViolation(limit, 'Closing socket for limit violation', {
+    peerId: ws.peerId,
+    ip: ws.limits.ip,
+    reason,
+  });
+}
+
+function closeForViolation(ws, { limit, code, reason }) {
+  countViolation(ws, limit, reason);
+  ws.close(code, reason);
+}
+
+function createParticipant(ws, roomId, role, pin, layer) {
+  return {
+    peerId: ws.peerId,
+    room: roomId,
+    role,
+    pin,
+    ...(role === 'answerer' ? { layer: layer || DEFAULT_VIEWER_LAYER } : {}),
+    resumeToken: crypto.randomBytes(18).toString('base64url'),
+    joinedAt: Date.now(),
+    instanceId: store.instanceId,
+  };
+}
+
+// Peers a participant can signal: viewers only see the sender, the sender sees every viewer
+function listPeers(entry, participant) {
+  const peers = [];
+  if (entry.offerer && entry.offerer.peerId !== participant.peerId) {
+    peers.push({ peerId: entry.offerer.peerId, role: 'offerer' });
+  }
+  if (participant.role === 'offerer') {
+    for (const viewer of entry.viewers.values()) {
+      peers.push({
+        peerId: viewer.peerId,
+        role: 'answerer',
+        layer: viewer.layer,
+      });
+    }
+  }
+  return peers;
+}
+
+// Resolve a signal's `to` field: a peer id, 'offerer', or 'answerer' (all viewers)
+function resolveTargets(entry, to) {
+  if (to === 'offerer') return entry.offerer ? [entry.offerer] : [];
+  if (to === 'answerer') return Array.from(entry.viewers.values());
+  if (entry.viewers.has(to)) return [entry.viewers.get(to)];
+  if (entry.offerer && entry.offerer.peerId === to) return [entry.offerer];
+  return [];
+}
+
+function sessionFields(entry) {
+  return entry.sessionId ? { sessionId: entry.sessionId } : {};
+}
+
+// Presence: the sender hears about every viewer, viewers hear about the sender
+function announcePresence(entry, participant, type) {
+  const message = {
+    type,
+    room: participant.room,
+    peerId: participant.peerId,
+    role: participant.role,
+    ...(participant.layer ? { layer: participant.layer } : {}),
+    ...sessionFields(entry),
+  };
+  if (participant.role === 'offerer') {
+    entry.viewers.forEach((viewer) => deliver(viewer, message));
+  } else if (entry.offerer) {
+    deliver(entry.offerer, message);
+  }
+}
+
+// Take a participant out of its room and tell whoever is left
+async function removeFromRoom(roomId, peerId) {
+  const { removed, room, createdAt } = await store.removeParticipant(
+    roomId,
+    peerId
+  );
+  if (!removed) return;
+
+  recordActivity(roomId, {
+    type: 'leave',
+    peerId: removed.peerId,
+    role: removed.role,
+  });
+  log.info('Left room', {
+    room: roomId,
+    peerId: removed.peerId,
+    role: removed.role,
+    ...sessionFields(room || {}),
+  });
+  if (room) {
+    announcePresence(room, removed, 'peer-left');
+  } else {
+    // Last one out - the store has dropped the room
+    roomLifetimeSeconds.observe((Date.now() - createdAt) / 1000);
+  }
+}
+
+function isOfferer(entry, peerId) {
+  return Boolean(entry.offerer && entry.offerer.peerId === peerId);
+}
+
+async function leaveRoom(ws) {
+  const roomId = ws.room;
+  ws.room = null;
+  ws.role = null;
+  if (roomId) await removeFromRoom(roomId, ws.peerId);
+}
+
+function findMember(entry, peerId) {
+  return isOfferer(entry, peerId) ? entry.offerer : entry.viewers.get(peerId);
+}
+
+// A socket that dropped stays in its room, marked disconnected, for RECONNECT_GRACE. Its peers
+// aren't told it left - their peer connections carry media without the signaling server -
+// and if the client rejoins in time it takes its peer id back (see findResumable).
+async function suspendParticipant(ws) {
+  const roomId = ws.room;
+  ws.room = null;
+  ws.role = null;
+  if (!roomId) return;
+
+  const entry = await store.getRoom(roomId);
+  const participant = entry && findMember(entry, ws.peerId);
+  // Already resumed on another socket, here or on another instance
+  if (
+    !participant ||
+    participant.instanceId !== store.instanceId ||
+    sockets.has(ws.peerId)
+  ) {
+    return;
+  }
+
+  const disconnectedAt = Date.now();
+  await store.addParticipant(roomId, { ...participant, disconnectedAt });
+  const peerId = ws.peerId;
+  const timer = setTimeout(() => {
+    graceTimers.delete(peerId);
+    expireParticipant(roomId, peerId, disconnectedAt).catch((error) =>
+      log.error('Failed to expire participant', { room: roomId, peerId, error })
+    );
+  }, RECONNECT_GRACE);
+  graceTimers.set(peerId, { roomId, timer });
+}
+
+// The grace period is over - unless the client resumed (or dropped again since), it's gone
+async function expireParticipant(roomId, peerId, disconnectedAt) {
+  const entry = await store.getRoom(roomId);
+  const participant = entry && findMember(entry, peerId);
+  if (participant && participant.disconnectedAt === disconnectedAt) {
+    await removeFromRoom(roomId, peerId);
+  }
+}
+
+// The participant a rejoining client is resuming, if its token matches
+function findResumable(ws, entry, role, resumePeerId, resumeToken) {
+  if (ws.room || !entry || !resumePeerId || resumePeerId === ws.peerId) {
+    return null;
+  }
+  const previous = findMember(entry, resumePeerId);
+  if (!previous || previous.role !== role) return null;
+  return secretMatches(previous.resumeToken, resumeToken) ? previous : null;
+}
+
+// Give the socket its previous peer id. The previous socket may not have timed out yet -
+// a half-open connection - so it's cut loose without leaving the room.
+function resumePeerId(ws, previous) {
+  clearTimeout(graceTimers.get(previous.peerId)?.timer);
+  graceTimers.delete(previous.peerId);
+
+  const stale = sockets.get(previous.peerId);
+  if (stale) {
+    stale.room = null;
+    stale.role = null;
+    stale.terminate();
+  } else {
+    deliver(previous, null, { detach: true });
+  }
+
+  sockets.delete(ws.peerId);
+  ws.peerId = previous.peerId;
+  sockets.set(ws.peerId, ws);
+}
+
+// Viewers that joined before the room was secured must have brought the same PIN
+async function evictUnauthorizedViewers(entry) {
+  for (const viewer of Array.from(entry.viewers.values())) {
+    if (secretMatches(entry.pin, viewer.pin)) continue;
+    await store.removeParticipant(entry.id, viewer.peerId);
+    entry.viewers.delete(viewer.peerId);
+    deliver(viewer, pinError(entry.id, viewer.pin), { detach: true });
+  }
+}
+
+async function joinRoom(
+  ws,
+  {
+    room: roomId,
+    role,
+    pin: rawPin,
+    layer,
+    senderToken,
+    resumePeerId: resumingPeerId,
+    resumeToken,
+    id,
+  }
+) {
+  if (shuttingDown) {
+    sendError(
+      ws,
+      ErrorCodes.SERVER_SHUTTING_DOWN,
+      'Server is shutting down, reconnect shortly',
+      { room: roomId, ...replyFields(id) }
+    );
+    return;
+  }
+
+  const pin = rawPin ? String(rawPin) : undefined;
+  const existing = await store.getRoom(roomId);
+  // The room's sender, back on a new socket - its token can't be guessed like a PIN
+  const isRoomSender = Boolean(
+    role === 'offerer' &&
+    existing &&
+    existing.senderToken &&
+    secretMatches(existing.senderToken, senderToken)
+  );
+  if (existing && existing.pin) {
+    // A locked-out address is refused even with the right PIN. The room's count only turns
+    // away wrong guesses (rejectJoin) - anyone can run it up, and viewers holding the PIN,
+    // or resuming with it, must still get in.
+    const lockedFor = !isRoomSender && pinAttempts.lockedFor(ws.limits.ip);
+    if (lockedFor) {
+      lockOutJoin(ws, roomId, lockedFor, id);
+      return;
+    }
+    if (!secretMatches(existing.pin, pin)) {
+      rejectJoin(ws, roomId, pin, id);
+      return;
+    }
+  }
+  // Viewers know the PIN too - only the holder of the sender token may (re)take the sender's place
+  if (role === 'offerer' && existing && existing.senderToken && !isRoomSender) {
+    sendError(ws, ErrorCodes.SENDER_EXISTS, 'This room already has a sender', {
+      room: roomId,
+      ...replyFields(id),
+    });
+    recordActivity(roomId, {
+      type: 'join-rejected',
+      peerId: ws.peerId,
+      code: ErrorCodes.SENDER_EXISTS,
+    });
+    return;
+  }
+  if (pin && !PIN_PATTERN.test(pin)) {
+    sendError(
+      ws,
+      ErrorCodes.INVALID_PIN,
+      'Room PIN must be 4-64 letters or digits',
+      { room: roomId, ...replyFields(id) }
+    );
+    return;
+  }
+  const resumed = findResumable(
+    ws,
+    existing,
+    role,
+    resumingPeerId,
+    resumeToken
+  );
+  if (
+    role === 'answerer' &&
+    existing &&
+    !resumed &&
+    !existing.viewers.has(ws.peerId) &&
+    existing.viewers.size >= MAX_VIEWERS_PER_ROOM
+  ) {
+    sendError(
+      ws,
+      ErrorCodes.ROOM_FULL,
+      `Room already has ${MAX_VIEWERS_PER_ROOM} viewers`,
+      { room: roomId, ...replyFields(id) }
+    );
+    return;
+  }
+
+  const violation = limiter.joinRoom(ws, roomId);
+  if (violation) {
+    closeForViolation(ws, violation);
+    return;
+  }
+
+  // Rejoining the same room just updates the participant, so an empty room keeps its PIN
+  if (ws.room && ws.room !== roomId) await leaveRoom(ws);
+  if (resumed) resumePeerId(ws, resumed);
+
+  ws.room = roomId;
+  ws.role = role;
+  const participant = createParticipant(ws, roomId, role, pin, layer);
+
+  // The sender reconnecting on a new socket replaces its old one, which may not have timed out yet
+  if (
+    role === 'offerer' &&
+    existing &&
+    existing.offerer &&
+    !isOfferer(existing, ws.peerId)
+  ) {
+    await removeFromRoom(roomId, existing.offerer.peerId);
+    deliver(existing.offerer, null, { detach: true });
+  }
+
+  const entry = await store.addParticipant(roomId, participant);
+  if (role === 'offerer') {
+    const update = {};
+    if (!entry.pin && (pin || REQUIRE_ROOM_PIN)) {
+      update.pin = entry.pin = pin || generatePin();
+    }
+    if (!entry.senderToken) {
+      update.senderToken = entry.senderToken = crypto
+        .randomBytes(24)
+        .toString('base64url');
+    }
+    // Each sender connection starts a new session; a rejoin on the same socket keeps it
+    if (!entry.sessionId || !existing || !isOfferer(existing, ws.peerId)) {
+      update.sessionId = entry.sessionId = crypto.randomUUID();
+    }
+    await store.updateRoom(roomId, update);
+    if (update.pin) await evictUnauthorizedViewers(entry);
+  }
+  joinsTotal.inc({ role });
+  recordActivity(roomId, {
+    type: 'join',
+    peerId: ws.peerId,
+    role,
+    ...(resumed ? { resumed: true } : {}),
+    ...sessionFields(entry),
+  });
+  log.info(resumed ? 'Resumed room' : 'Joined room', {
+    room: roomId,
+    peerId: ws.peerId,
+    role,
+    ...sessionFields(entry),
+  });
+  // Peers never heard a resumed client leave
+  if (!resumed) announcePresence(entry, participant, 'peer-joined');
+
+  send(ws, {
+    type: 'joined',
+    room: roomId,
+    role,
+    peerId: ws.peerId,
+    peers: listPeers(entry, participant),
+    resumeToken: participant.resumeToken,
+    ...(resumed ? { resumed: true } : {}),
+    ...sessionFields(entry),
+    ...replyFields(id),
+    // Only the sender learns the PIN, so it can show it to the people in the room
+    ...(role === 'offerer' && entry.pin ? { pin: entry.pin } : {}),
+    ...(role === 'offerer' ? { senderToken: entry.senderToken } : {}),
+  });
+}
+
+// Health check endpoint for Docker, and for clients choosing between signaling servers
+app.get('/health', async (req, res) => {
+  // Clients probe this cross-origin before connecting (see shared/endpoints.js)
+  res.set('Access-Control-Allow-Origin', '*');
   const healthStatus = {
-    status: 'healthy',
+    status: shuttingDown ? 'draining' : 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    activeRooms: rooms.size,
+    activeRooms: (await store.listRooms()).length,
     memory: process.memoryUsage(),
     version: process.env.npm_package_version || '1.0.0',
   };
-  res.status(200).json(healthStatus);
+  // A draining server is about to go away - probing clients should pick another
+  res.status(shuttingDown ? 503 : 200).json(healthStatus);
 });
 
 // API endpoint to get room statistics
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
+  const allRooms = await store.listRooms();
   const stats = {
-    totalRooms: rooms.size,
-    activeConnections: Array.from(rooms.values()).reduce((count, room) => {
-      return count + (room.offerer ? 1 : 0) + (room.answerer ? 1 : 0);
+    totalRooms: allRooms.length,
+    activeConnections: allRooms.reduce((count, room) => {
+      return count + participantCount(room);
     }, 0),
+    activeViewers: allRooms.reduce((count, room) => {
+      return count + room.viewers.size;
+    }, 0),
+    limitViolations,
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
   };
   res.json(stats);
 });
 
+async function relaySignal(ws, { room, to, data, id }) {
+  // Only members may signal, so a rejected join can't talk to the room
+  const entry = ws.room === room && (await store.getRoom(room));
+  if (!entry) {
+    sendError(ws, ErrorCodes.NOT_IN_ROOM, `Not joined to room "${room}"`, {
+      room,
+      ...replyFields(id),
+    });
+    return;
+  }
+
+  const targets = resolveTargets(entry, to).filter(
+    (target) => target.peerId !== ws.peerId
+  );
+  if (!targets.length) {
+    sendError(ws, ErrorCodes.PEER_NOT_IN_ROOM, `Peer "${to}" is not in room`, {
+      room,
+      to,
+      ...replyFields(id),
+    });
+    return;
+  }
+
+  targets.forEach((target) =>
+    deliver(target, {
+      type: 'signal',
+      from: ws.peerId,
+      data,
+      ...sessionFields(entry),
+    })
+  );
+  signalsRelayedTotal.inc({}, targets.length);
+  const kind = describeSignal(data);
+  recordActivity(room, {
+    type: 'signal',
+    peerId: ws.peerId,
+    to,
+    kind,
+    delivered: targets.length,
+  });
+  log.debug('Relayed signal', {
+    room,
+    peerId: ws.peerId,
+    to,
+    kind,
+    delivered: targets.length,
+    ...sessionFields(entry),
+  });
+  if (id !== undefined) send(ws, createAck(id, { delivered: targets.length }));
+}
+
+// A viewer's simulcast layer, from the viewer itself or the admin API. Kept on the
+// participant so a reconnecting sender learns it from `joined`.
+async function setViewerLayer(entry, viewer, layer) {
+  await store.addParticipant(entry.id, { ...viewer, layer });
+  recordActivity(entry.id, { type: 'layer', peerId: viewer.peerId, layer });
+  log.info('Viewer layer', {
+    room: entry.id,
+    peerId: viewer.peerId,
+    layer,
+    ...sessionFields(entry),
+  });
+  if (entry.offerer) {
+    deliver(entry.offerer, {
+      type: 'layer',
+      room: entry.id,
+      peerId: viewer.peerId,
+      layer,
+      ...sessionFields(entry),
+    });
+  }
+}
+
+async function handleLayer(ws, { room, layer, id }) {
+  const entry = ws.room === room && (await store.getRoom(room));
+  const viewer = entry && entry.viewers.get(ws.peerId);
+  if (!viewer) {
+    sendError(ws, ErrorCodes.NOT_IN_ROOM, `Not a viewer in room "${room}"`, {
+      room,
+      ...replyFields(id),
+    });
+    return;
+  }
+  await setViewerLayer(entry, viewer, layer);
+  if (id !== undefined) send(ws, createAck(id));
+}
+
+// Read-only queries; each returns the result fields, or null once it has replied with an error
+const queryHandlers = {
+  // Anyone may ask whether a room is in use - counts only, no peer ids
+  'room-status': async (ws, { room }) => {
+    const entry = await store.getRoom(room);
+    return {
+      room,
+      exists: Boolean(entry),
+      occupied: Boolean(entry && entry.offerer),
+      viewers: entry ? entry.viewers.size : 0,
+      secured: Boolean(entry && entry.pin),
+    };
+  },
+
+  // Members see the peers they can signal, like in `joined`
+  'room-members': async (ws, { room, id }) => {
+    const entry = ws.room === room && (await store.getRoom(room));
+    const participant =
+      entry &&
+      (isOfferer(entry, ws.peerId)
+        ? entry.offerer
+        : entry.viewers.get(ws.peerId));
+    if (!participant) {
+      sendError(ws, ErrorCodes.NOT_IN_ROOM, `Not joined to room "${room}"`, {
+        room,
+        ...replyFields(id),
+      });
+      return null;
+    }
+    return {
+      room,
+      peers: listPeers(entry, participant),
+      viewers: entry.viewers.size,
+      ...sessionFields(entry),
+    };
+  },
+
+  capabilities: async () => ({
+    protocolVersion: PROTOCOL_VERSION,
+    messageTypes: Object.keys(schemas),
+    queries: QUERIES,
+    maxViewersPerRoom: MAX_VIEWERS_PER_ROOM,
+    roomPinRequired: REQUIRE_ROOM_PIN,
+    maxMessageBytes: limits.maxMessageBytes,
+    turn: Boolean(turnConfig.secret && turnConfig.turnUrls.length),
+  }),
+};
+
+async function handleQuery(ws, { query, room, id }) {
+  if (query !== 'capabilities' && !room) {
+    sendError(ws, ErrorCodes.BAD_MESSAGE, `"room" is required for ${query}`, {
+      ...replyFields(id),
+    });
+    return;
+  }
+  const result = await queryHandlers[query](ws, { room, id });
+  if (result) send(ws, createResult(id, query, result));
+}
+
+// One handler per message type in lib/protocol.js schemas
+const messageHandlers = {
+  join: joinRoom,
+  signal: relaySignal,
+  layer: handleLayer,
+  query: handleQuery,
+};
+
+async function handleMessage(ws, raw) {
+  // Frames queued behind a limit violation are dropped
+  if (ws.readyState !== 1) return;
+
+  const { message, error } = parseMessage(raw);
+  if (error) {
+    messagesRejectedTotal.inc({ code: error.code });
+    send(ws, error);
+    return;
+  }
+  await messageHandlers[message.type](ws, message);
+}
+
+// ICE servers for clients to use before building an RTCPeerConnection.
+// TURN credentials are minted per request and expire after TURN_TTL seconds.
+const turnConfig = loadTurnConfig();
+
+// The participant behind ?room=&peerId= - peer ids are only handed to their own socket on
+// connect, and only count once that socket has joined the room (with its PIN)
+async function findParticipant(roomId, peerId) {
+  if (typeof roomId !== 'string' || typeof peerId !== 'string') return null;
+  const entry = await store.getRoom(roomId);
+  if (!entry) return null;
+  return isOfferer(entry, peerId) ? entry.offerer : entry.viewers.get(peerId);
+}
+
+app.get('/api/ice-servers', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const violation = limiter.consumeIceServersRequest(req);
+  if (violation) {
+    recordViolation(violation.limit, 'Refusing request for limit violation', {
+      ip: limiter.clientIp(req),
+      reason: violation.reason,
+    });
+    res.set('Retry-After', String(Math.ceil(1 / limits.iceServersRate)));
+    res.status(429).json({ error: violation.reason });
+    return;
+  }
+
+  // Anyone gets STUN; TURN credentials only go to room participants, labelled with their peer id
+  const participant = await findParticipant(req.query.room, req.query.peerId);
+  res.json(
+    getIceServers(turnConfig, {
+      turn: Boolean(participant),
+      label: participant ? participant.peerId : undefined,
+    })
+  );
+});
+
+// Admin actions: removed participants are told why, then disconnected
+async function kickParticipant(room, participant) {
+  recordActivity(room.id, {
+    type: 'kicked',
+    peerId: participant.peerId,
+    role: participant.role,
+  });
+  await removeFromRoom(room.id, participant.peerId);
+  deliver(
+    participant,
+    { type: 'removed', room: room.id, reason: 'kicked' },
+    { detach: true, close: true }
+  );
+}
+
+async function closeRoom(room) {
+  const participants = [
+    ...(room.offerer ? [room.offerer] : []),
+    ...room.viewers.values(),
+  ];
+  for (const participant of participants) {
+    const {
+      removed,
+      room: remaining,
+      createdAt,
+    } = await store.removeParticipant(room.id, participant.peerId);
+    if (!removed) continue;
+    if (!remaining) {
+      roomLifetimeSeconds.observe((Date.now() - createdAt) / 1000);
+    }
+    deliver(
+      participant,
+      { type: 'removed', room: room.id, reason: 'room-closed' },
+      { detach: true, close: true }
+    );
+  }
+}
+
+app.use(
+  '/api/admin',
+  createAdminRouter({
+    token: process.env.ADMIN_TOKEN,
+    store,
+    kickParticipant,
+    closeRoom,
+    setViewerLayer,
+  })
+);
+
+store.onRelay(handleRelay);
+store.connect().catch((error) => {
+  log.error('Could not connect the room store', error);
+  process.exit(1);
+});
+
 const server = app.listen(process.env.PORT || 8080, () =>
-  console.log('HTTP+WS on :', server.address().port)
+  log.info('HTTP+WS listening', { port: server.address().port })
+);
+const wss = new WebSocketServer({ server, maxPayload: limits.maxMessageBytes });
+
+metrics.gauge(
+  'signaling_sockets',
+  'Open WebSocket connections on this instance',
+  () => wss.clients.size
+);
+metrics.gauge(
+  'signaling_rooms',
+  'Active rooms in the room store',
+  async () => (await store.listRooms()).length
 );
-const wss = new WebSocketServer({ server });
+metrics.gauge(
+  'signaling_viewers',
+  'Viewers across all rooms in the room store',
+  async () =>
+    (await store.listRooms()).reduce(
+      (count, room) => count + room.viewers.size,
+      0
+    )
+);
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(await metrics.render());
+});
 
 // Heartbeat to detect dead connections
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   ws.isAlive = true;
+  ws.peerId = crypto.randomUUID();
+  ws.room = null;
+  ws.role = null;
+  sockets.set(ws.peerId, ws);
   ws.on('pong', () => (ws.isAlive = true));
 
-  ws.on('message', (m) => {
-    const { type, room, role, to, data } = JSON.parse(m);
-    const entry = rooms.get(room) || {};
-    if (type === 'join') {
-      entry[role] = ws;
-      rooms.set(room, entry);
+  const connectViolation = limiter.connect(ws, req);
+  if (connectViolation) closeForViolation(ws, connectViolation);
+
+  // `ws` closes oversized frames with 1009 and reports them here
+  ws.on('error', (error) => {
+    if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      countViolation(ws, 'message-size', 'Message too big');
       return;
     }
-    if (type === 'signal') {
-      const target = entry[to];
-      if (target && target.readyState === 1)
-        target.send(JSON.stringify({ type: 'signal', data }));
+    log.error('WebSocket error', { peerId: ws.peerId, error });
+  });
+
+  // Store calls are async - handle one message at a time so a join settles before the next signal
+  let pending = Promise.resolve();
+  const enqueue = (task) => {
+    pending = pending
+      .then(task)
+      .catch((error) =>
+        log.error('Message handling failed', { peerId: ws.peerId, error })
+      );
+  };
+
+  ws.on('message', (raw) => {
+    const violation = limiter.consumeMessage(ws);
+    if (violation) {
+      if (ws.readyState === 1) closeForViolation(ws, violation);
+      return;
     }
+    enqueue(() => handleMessage(ws, raw));
   });
 
   // Clean up rooms when connection closes
   ws.on('close', () => {
-    rooms.forEach((entry, roomId) => {
-      if (entry.offerer === ws || entry.answerer === ws) {
-        // Remove the disconnected client
-        if (entry.offerer === ws) delete entry.offerer;
-        if (entry.answerer === ws) delete entry.answerer;
-
-        // Clean up empty rooms
-        if (!entry.offerer && !entry.answerer) {
-          rooms.delete(roomId);
-        }
-      }
-    });
+    // A resumed client's new socket may have taken the peer id over already
+    if (sockets.get(ws.peerId) === ws) sockets.delete(ws.peerId);
+    limiter.disconnect(ws);
+    enqueue(() => suspendParticipant(ws));
   });
+
+  // Raced the shutdown - send it straight on
+  if (shuttingDown) sendShutdown(ws);
 });
 
 // Ping clients every 30 seconds to detect dead connections
-setInterval(() => {
+const heartbeatInterval = setInterval(() => {
+  pinAttempts.prune();
+  limiter.prune();
   wss.clients.forEach((ws) => {
-    if (!ws.isAlive) return ws.terminate();
+    if (!ws.isAlive) {
+      heartbeatTerminationsTotal.inc();
+      return ws.terminate();
+    }
     ws.isAlive = false;
     ws.ping();
   });
 }, 30000);
+
+// Tell a socket to come back after a jittered delay, so the instances that are
+// left (or this one after a restart) aren't hit by every client at once
+function sendShutdown(ws) {
+  const retryAfter =
+    SHUTDOWN_RETRY_AFTER + Math.floor(Math.random() * SHUTDOWN_RETRY_AFTER);
+  send(ws, { type: 'server-shutdown', retryAfter });
+  ws.close(CloseCodes.SERVER_SHUTDOWN, 'Server shutting down');
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('Draining connections', { signal, sockets: wss.clients.size });
+
+  setTimeout(() => {
+    log.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  clearInterval(heartbeatInterval);
+  server.close(); // Stop accepting connections
+
+  const clients = Array.from(wss.clients);
+  const closed = Promise.all(
+    clients.map((ws) => new Promise((resolve) => ws.once('close', resolve)))
+  );
+  clients.forEach(sendShutdown);
+
+  try {
+    // Leave rooms now so peers on other instances hear `peer-left` right away - including
+    // clients waiting to resume here, whose grace timers die with this process
+    await Promise.all(clients.map((ws) => leaveRoom(ws)));
+    for (const [peerId, { roomId, timer }] of graceTimers) {
+      clearTimeout(timer);
+      await removeFromRoom(roomId, peerId);
+    }
+    graceTimers.clear();
+    await Promise.race([
+      closed,
+      new Promise((resolve) => setTimeout(resolve, SHUTDOWN_GRACE)),
+    ]);
+    wss.clients.forEach((ws) => ws.terminate());
+    await store.close();
+  } catch (error) {
+    log.error('Error while shutting down', error);
+  }
+
+  log.info('Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,87 @@
+/**
+ * Video codec preferences - capability discovery and setCodecPreferences()
+ *
+ * Each side orders its transceiver's codecs from what its browser can actually
+ * encode (sender) or decode (receiver) instead of rewriting SDP. Receivers
+ * announce the codecs they can decode in a `{ capabilities }` signal, so the
+ * sender can leave out what a TV can't handle. The first codec both offer and
+ * answer list is the one sent.
+ */
+
+export const VIDEO_CODECS = ['H264', 'VP8', 'VP9', 'AV1'];
+
+// H.264 first: most Android TVs only have a hardware decoder for it
+export const DEFAULT_CODEC_PREFERENCE = ['H264', 'VP8', 'VP9', 'AV1'];
+
+// Retransmission and FEC entries, kept alongside whichever codec wins
+const RESILIENCE_CODECS = ['RTX', 'RED', 'ULPFEC', 'FLEXFEC-03'];
+
+// 'video/H264' -> 'H264'
+export function codecName(mimeType) {
+  return ((mimeType || '').split('/')[1] || '').toUpperCase();
+}
+
+// Video codec capabilities of this browser, `side` being 'sender' or 'receiver'
+export function getCodecCapabilities(side = 'receiver') {
+  const Rtp =
+    side === 'sender' ? globalThis.RTCRtpSender : globalThis.RTCRtpReceiver;
+  return Rtp?.getCapabilities?.('video')?.codecs || [];
+}
+
+// The VIDEO_CODECS this browser supports, e.g. ['H264', 'VP8', 'VP9']
+export function supportedCodecs(side = 'receiver') {
+  const names = new Set(
+    getCodecCapabilities(side).map((codec) => codecName(codec.mimeType))
+  );
+  return VIDEO_CODECS.filter((name) => names.has(name));
+}
+
+/**
+ * Order a transceiver's video codecs by `preference` (names, most wanted first).
+ * With `only`, codecs missing from `preference` are left out entirely.
+ *
+ * @returns {string[]|null} the codec names in the order applied, or null when
+ *   setCodecPreferences() is unavailable or nothing in `preference` is supported
+ */
+export function applyCodecPreferences(
+  transceiver,
+  preference,
+  { side = 'sender', only = false } = {}
+) {
+  if (typeof transceiver?.setCodecPreferences !== 'function') return null;
+
+  const rank = (codec) => {
+    const index = preference.indexOf(codecName(codec.mimeType));
+    return index === -1 ? preference.length : index;
+  };
+  const capabilities = getCodecCapabilities(side);
+  const resilience = capabilities.filter((codec) =>
+    RESILIENCE_CODECS.includes(codecName(codec.mimeType))
+  );
+  let codecs = capabilities
+    .filter((codec) => !RESILIENCE_CODECS.includes(codecName(codec.mimeType)))
+    .sort((a, b) => rank(a) - rank(b)); // Stable - profiles keep the browser's order
+  if (only) codecs = codecs.filter((codec) => rank(codec) < preference.length);
+  if (!codecs.length || rank(codecs[0]) === preference.length) return null;
+
+  transceiver.setCodecPreferences([...codecs, ...resilience]);
+  return [...new Set(codecs.map((codec) => codecName(codec.mimeType)))];
+}
+
+// The codec a connection is using, from a getStats() report - `type` is
+// 'outbound-rtp' on the sender and 'inbound-rtp' on a receiver
+export function negotiatedCodec(report, type = 'outbound-rtp') {
+  let codecId = null;
+  report.forEach((entry) => {
+    if (entry.type === type && entry.kind === 'video' && entry.codecId)
+      codecId = entry.codecId;
+  });
+  const codec = codecId && report.get(codecId);
+  if (!codec) return null;
+  return {
+    name: codecName(codec.mimeType),
+    mimeType: codec.mimeType,
+    payloadType: codec.payloadType,
+    sdpFmtpLine: codec.sdpFmtpLine,
+  };
+}
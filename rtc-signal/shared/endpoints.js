@@ -0,0 +1,99 @@
+/**
+ * Ordered list of signaling server endpoints with health probing
+ *
+ * Clients are given endpoints in order of preference, e.g. the LAN server
+ * first and the cloud `wss://` one after it. Before connecting they probe every
+ * endpoint's `/health` at once and try the healthy ones in that order, then the
+ * rest - the last endpoint that worked first among those, since it's the most
+ * likely to answer when probing is inconclusive. The last good endpoint is kept
+ * in `storage` (localStorage where there is one) across restarts.
+ */
+
+const DEFAULT_STORAGE_KEY = 'screen-mirror:signaling-url';
+
+// ws://host:8080 -> http://host:8080, wss:// -> https://
+export function toHttpUrl(url) {
+  return url.replace(/^ws/, 'http');
+}
+
+function defaultStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null; // Access denied, e.g. sandboxed iframes
+  }
+}
+
+// Resolves true when the server's /health answers 200 within the timeout
+export async function probeEndpoint(url, { timeout = 1500 } = {}) {
+  if (typeof fetch !== 'function') return false;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(new URL('/health', toHttpUrl(url)), {
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    return response.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class EndpointList {
+  /**
+   * @param {string|string[]} urls - in order of preference
+   * @param {object} [options]
+   * @param {{getItem, setItem}} [options.storage] - where the last good endpoint is kept
+   * @param {string} [options.storageKey]
+   * @param {number} [options.probeTimeout] - ms per /health probe
+   * @param {Function} [options.probe] - (url, { timeout }) => Promise<boolean>
+   */
+  constructor(urls, options = {}) {
+    this.urls = [].concat(urls).filter(Boolean);
+    if (!this.urls.length) {
+      throw new Error('At least one signaling URL is required');
+    }
+    this.storage =
+      options.storage !== undefined ? options.storage : defaultStorage();
+    this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+    this.probeTimeout = options.probeTimeout || 1500;
+    this.probe = options.probe || probeEndpoint;
+  }
+
+  get lastGood() {
+    try {
+      const url = this.storage && this.storage.getItem(this.storageKey);
+      return this.urls.includes(url) ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Call once a connection to `url` has opened
+  remember(url) {
+    try {
+      if (this.storage) this.storage.setItem(this.storageKey, url);
+    } catch {
+      // Storage full or unavailable - failover still works, just without memory
+    }
+  }
+
+  // Endpoints in the order to try them; a single endpoint is returned without probing
+  async rank() {
+    if (this.urls.length === 1) return [...this.urls];
+
+    const healthy = await Promise.all(
+      this.urls.map((url) => this.probe(url, { timeout: this.probeTimeout }))
+    );
+    const lastGood = this.lastGood;
+    const unhealthy = this.urls.filter((url, index) => !healthy[index]);
+    if (unhealthy.includes(lastGood)) {
+      unhealthy.splice(unhealthy.indexOf(lastGood), 1);
+      unhealthy.unshift(lastGood);
+    }
+    return [...this.urls.filter((url, index) => healthy[index]), ...unhealthy];
+  }
+}
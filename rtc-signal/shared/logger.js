@@ -0,0 +1,92 @@
+/**
+ * Structured logger for the sender, the receivers and the signaling server
+ *
+ * Every entry is written as one JSON line:
+ *   { ts, level, component, msg, sessionId?, peerId?, ...fields }
+ * The server issues a `sessionId` when a sender joins a room and echoes it in
+ * `joined`, `peer-joined` and every relayed `signal`. Clients put it in their
+ * logger context, so one mirroring attempt can be followed across processes
+ * by searching for a single id. lib/logger.js is the server's twin of this file.
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+let defaultLevel = 'info';
+
+// Applies to every logger created without an explicit level
+export function setLogLevel(level) {
+  if (LOG_LEVELS[level] !== undefined) defaultLevel = level;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.stack ? { stack: error.stack } : {}),
+  };
+}
+
+function serializeFields(fields) {
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  const entry = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return entry;
+}
+
+const write = {
+  debug: (line) => console.debug(line),
+  info: (line) => console.log(line),
+  warn: (line) => console.warn(line),
+  error: (line) => console.error(line),
+};
+
+/**
+ * @param {string} component - e.g. 'sender', 'receiver', 'signaling'
+ * @param {object} [options]
+ * @param {object} [options.context] - fields added to every entry (sessionId, peerId, room)
+ * @param {string} [options.level] - minimum level; defaults to setLogLevel()
+ */
+export function createLogger(component, { context = {}, level } = {}) {
+  const logger = {
+    context: { ...context },
+
+    child(extra) {
+      return createLogger(component, {
+        context: { ...logger.context, ...extra },
+        level,
+      });
+    },
+
+    // Merge fields such as the sessionId from `joined` into later entries
+    setContext(extra) {
+      Object.assign(logger.context, extra);
+    },
+  };
+
+  for (const name of Object.keys(write)) {
+    logger[name] = (msg, fields) => {
+      if (LOG_LEVELS[name] < LOG_LEVELS[level || defaultLevel]) return;
+      write[name](
+        JSON.stringify({
+          ts: new Date().toISOString(),
+          level: name,
+          component,
+          msg,
+          ...logger.context,
+          ...serializeFields(fields),
+        })
+      );
+    };
+  }
+
+  return logger;
+}
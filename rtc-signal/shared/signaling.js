@@ -1,19 +1,96 @@
 /**
  * WebSocket signaling client with exponential backoff reconnection
- * Used by both Electron sender and React Native receiver
+ *
+ * The one client for every app: the Electron sender imports it through the
+ * `@shared` alias, the React Native receiver through Metro's watchFolders, and
+ * web-receiver.html from `/shared/signaling.js` on the signaling server. It
+ * only needs the standard WebSocket, fetch and (optionally) localStorage.
  */
 
+import { EndpointList } from './endpoints.js';
+import { createLogger } from './logger.js';
+
+// Must match PROTOCOL_VERSION in lib/protocol.js (see PROTOCOL.md)
+export const PROTOCOL_VERSION = 1;
+
+// Close code for a draining server (CloseCodes.SERVER_SHUTDOWN in lib/protocol.js)
+export const SERVER_SHUTDOWN_CLOSE_CODE = 1012;
+const DEFAULT_SHUTDOWN_RETRY_AFTER = 2000; // ms, when the server sent no hint
+
+// Close a reconnect won't undo - removed by an administrator
+const REMOVED_CLOSE_CODE = 4004;
+// Too many wrong PINs - refused until the `retryAfter` of the PIN_LOCKED error before it
+const PIN_LOCKOUT_CLOSE_CODE = 4003;
+// Closes for exceeding a server limit - messages, rooms or sockets per address
+const LIMIT_CLOSE_CODES = [4008, 4009, 4010];
+const LIMIT_RETRY_DELAY = 10000; // ms before reconnecting after the first one
+
+// Codes of client-side request() failures, alongside the server's ErrorCodes
+export const RequestErrorCodes = {
+  TIMEOUT: 'TIMEOUT', // No reply within the request timeout
+  DISCONNECTED: 'DISCONNECTED', // Socket closed (or was never open) before the reply
+};
+
+function isIceCandidate(message) {
+  return (
+    message.type === 'signal' &&
+    Boolean(message.data && (message.data.ice || message.data.candidate))
+  );
+}
+
+// Typed `error` reply from the signaling server
+export class SignalingError extends Error {
+  constructor({ code, message, replyTo, ...details }) {
+    super(message || code);
+    this.name = 'SignalingError';
+    this.code = code;
+    this.replyTo = replyTo;
+    this.details = details;
+  }
+}
+
 export class SignalingClient {
-  constructor(url, options = {}) {
-    this.url = url;
+  /**
+   * @param {string|string[]} urls - signaling server, or several in order of
+   *   preference to fail over between (see endpoints.js)
+   * @param {object} [options]
+   */
+  constructor(urls, options = {}) {
+    this.endpoints = new EndpointList(urls, {
+      storage: options.storage,
+      storageKey: options.storageKey,
+      probeTimeout: options.probeTimeout,
+    });
+    this.url = this.endpoints.urls[0]; // Endpoint of the current or last socket
+    this.candidates = []; // Endpoints left to try before backing off
     this.ws = null;
     this.retryDelay = options.initialRetryDelay || 1000;
     this.maxRetryDelay = options.maxRetryDelay || 30000;
     this.retryMultiplier = options.retryMultiplier || 2;
     this.maxRetries = options.maxRetries || Infinity;
     this.retryCount = 0;
+    this.connectTimeout = options.connectTimeout || 10000; // ms before an unanswered attempt is abandoned
+    this.connectTimer = null;
     this.isConnecting = false;
     this.shouldReconnect = true;
+    this.messageSeq = 0;
+    this.serverRetryAfter = null; // From the last `server-shutdown` message
+    this.limitRetryDelay = LIMIT_RETRY_DELAY; // Grows while limit closes come in a row
+    this.lockoutRetryAfter = null; // From the last PIN_LOCKED error
+    this.sessionId = null; // Issued by the server, see PROTOCOL.md#sessions
+    this.log = options.logger || createLogger('signaling-client');
+
+    // Messages sent while the socket is down wait here until the next `onopen`
+    this.maxQueueSize = options.maxQueueSize ?? 100; // 0 disables queueing
+    this.queueTtl = options.queueTtl ?? 10000; // ms, default per-message TTL
+    // Candidates gathered for a previous connection are useless once the peer renegotiates
+    this.dropStaleCandidates = options.dropStaleCandidates || false;
+    this.queue = []; // { message, expiresAt, afterDisconnect }
+    this.hasConnected = false;
+    this.joinMessage = null; // Last `join`, re-sent after every reconnect
+
+    this.requestTimeout = options.requestTimeout || 5000; // ms
+    this.pending = new Map(); // message id -> { resolve, reject, timer, sent }
 
     // Event handlers
     this.onOpen = options.onOpen || (() => {});
@@ -23,6 +100,10 @@ export class SignalingClient {
     this.onReconnecting = options.onReconnecting || (() => {});
     this.onReconnected = options.onReconnected || (() => {});
     this.onMaxRetriesReached = options.onMaxRetriesReached || (() => {});
+    this.onClosedForGood = options.onClosedForGood || (() => {});
+    this.onServerError = options.onServerError || (() => {});
+    this.onAck = options.onAck || (() => {});
+    this.onServerShutdown = options.onServerShutdown || (() => {});
   }
 
   connect() {
@@ -35,62 +116,146 @@ export class SignalingClient {
 
     this.isConnecting = true;
 
+    if (this.candidates.length) {
+      this.open(this.candidates.shift());
+      return;
+    }
+
+    // New round: probe every endpoint so a healthy one is tried first
+    this.endpoints.rank().then((urls) => {
+      if (!this.shouldReconnect) {
+        this.isConnecting = false;
+        return;
+      }
+      this.candidates = urls;
+      this.open(this.candidates.shift());
+    });
+  }
+
+  open(url) {
+    this.url = url;
+
     try {
-      this.ws = new WebSocket(this.url);
+      this.ws = new WebSocket(url);
+
+      // A host that silently drops packets would otherwise hold us here for minutes
+      const ws = this.ws;
+      this.connectTimer = setTimeout(() => {
+        if (ws.readyState !== WebSocket.CONNECTING) return;
+        this.log.warn('WebSocket connection timed out', {
+          url,
+          timeout: this.connectTimeout,
+        });
+        ws.close();
+      }, this.connectTimeout);
 
       this.ws.onopen = () => {
-        console.log('WebSocket connected');
+        clearTimeout(this.connectTimer);
+        this.log.info('WebSocket connected', { url });
+        this.endpoints.remember(url);
+        this.candidates = [];
         this.isConnecting = false;
         this.retryDelay = 1000; // Reset delay on successful connection
         this.retryCount = 0;
+        const wasReconnecting = this.hasConnected;
+        this.hasConnected = true;
+
+        // The server forgets us with the old socket - join before anything queued for the room
+        if (this.joinMessage) this.transmit(this.stamp(this.joinMessage));
+        this.flushQueue();
 
-        if (this.retryCount > 0) {
+        if (wasReconnecting) {
           this.onReconnected();
         }
         this.onOpen();
       };
 
       this.ws.onmessage = (event) => {
+        if (this.handleProtocolReply(event.data)) return;
         this.onMessage(event);
       };
 
       this.ws.onclose = (event) => {
-        console.log('WebSocket closed:', event.code, event.reason);
+        this.log.info('WebSocket closed', {
+          code: event.code,
+          reason: event.reason,
+        });
+        clearTimeout(this.connectTimer);
         this.isConnecting = false;
+        // Replies to anything already sent went down with the socket
+        this.failRequests(({ sent }) => sent);
         this.onClose(event);
 
-        if (this.shouldReconnect) {
-          this.scheduleReconnect();
+        if (!this.shouldReconnect) return;
+        if (event.code === REMOVED_CLOSE_CODE) {
+          this.log.warn('Removed by the server, not reconnecting', {
+            code: event.code,
+          });
+          this.close();
+          this.onClosedForGood(event);
+          return;
+        }
+        if (event.code === PIN_LOCKOUT_CLOSE_CODE && this.lockoutRetryAfter) {
+          this.waitOutLockout();
+          return;
+        }
+        if (
+          event.code === PIN_LOCKOUT_CLOSE_CODE ||
+          LIMIT_CLOSE_CODES.includes(event.code)
+        ) {
+          this.backOff();
+          return;
+        }
+        this.limitRetryDelay = LIMIT_RETRY_DELAY;
+        if (event.code === SERVER_SHUTDOWN_CLOSE_CODE) {
+          this.reconnectSoon();
+        } else {
+          this.retry();
         }
       };
 
       this.ws.onerror = (error) => {
-        console.error('WebSocket error:', error);
+        this.log.error('WebSocket error', { url });
         this.isConnecting = false;
         this.onError(error);
       };
     } catch (error) {
-      console.error('Failed to create WebSocket:', error);
+      this.log.error('Failed to create WebSocket', error);
       this.isConnecting = false;
       this.onError(error);
 
       if (this.shouldReconnect) {
-        this.scheduleReconnect();
+        this.retry();
       }
     }
   }
 
+  // Fail over to the next endpoint straight away; back off once all have failed
+  retry() {
+    if (!this.candidates.length) {
+      this.scheduleReconnect();
+      return;
+    }
+    this.log.info('Trying next signaling server', {
+      url: this.candidates[0],
+    });
+    this.connect();
+  }
+
   scheduleReconnect() {
     if (this.retryCount >= this.maxRetries) {
-      console.error('Max reconnection attempts reached');
+      this.log.error('Max reconnection attempts reached', {
+        attempts: this.retryCount,
+      });
       this.onMaxRetriesReached();
       return;
     }
 
     this.retryCount++;
-    console.log(
-      `Reconnecting in ${this.retryDelay}ms (attempt ${this.retryCount})`
-    );
+    this.log.info('Reconnecting', {
+      attempt: this.retryCount,
+      delay: this.retryDelay,
+    });
     this.onReconnecting(this.retryCount, this.retryDelay);
 
     setTimeout(() => {
@@ -106,17 +271,289 @@ export class SignalingClient {
     );
   }
 
-  send(data) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(typeof data === 'string' ? data : JSON.stringify(data));
+  // A restarting server isn't a failure: come back after its retry hint,
+  // without using up an attempt or growing the backoff delay
+  reconnectSoon() {
+    const delay = this.serverRetryAfter || DEFAULT_SHUTDOWN_RETRY_AFTER;
+    this.serverRetryAfter = null;
+    this.log.info('Signaling server restarting, reconnecting', { delay });
+    this.onReconnecting(this.retryCount, delay);
+
+    setTimeout(() => {
+      if (this.shouldReconnect) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  // Over a server limit, reconnecting at once would only trip it again: wait, twice as
+  // long each time it happens in a row. Doesn't use up an attempt either.
+  backOff() {
+    const delay = this.limitRetryDelay;
+    this.limitRetryDelay = Math.min(
+      delay * this.retryMultiplier,
+      Math.max(this.maxRetryDelay, LIMIT_RETRY_DELAY)
+    );
+    this.candidates = [];
+    this.log.warn('Closed for exceeding a server limit, backing off', {
+      delay,
+    });
+    this.onReconnecting(this.retryCount, delay);
+
+    setTimeout(() => {
+      if (this.shouldReconnect) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  // Locked out for wrong PINs: any join before the lockout ends is refused again, so come
+  // back once it has, as the server said. Doesn't use up an attempt.
+  waitOutLockout() {
+    const delay = this.lockoutRetryAfter;
+    this.lockoutRetryAfter = null;
+    this.candidates = [];
+    this.log.warn('Locked out for too many wrong PINs, reconnecting after it', {
+      delay,
+    });
+    this.onReconnecting(this.retryCount, delay);
+
+    setTimeout(() => {
+      if (this.shouldReconnect) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  // Surface `error`, `ack` and `server-shutdown` messages before the raw message handler runs.
+  // Returns true for replies to request(), which settle its promise instead.
+  handleProtocolReply(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return false;
+    }
+
+    if (message.type === 'joined') {
+      this.log.setContext({ peerId: message.peerId, room: message.room });
+      // Rejoin with the PIN the server issued, so viewers already let in stay authorized,
+      // and as the sender with its token
+      if (message.pin && this.joinMessage) {
+        this.joinMessage = { ...this.joinMessage, pin: message.pin };
+      }
+      if (message.senderToken && this.joinMessage) {
+        this.joinMessage = {
+          ...this.joinMessage,
+          senderToken: message.senderToken,
+        };
+      }
+      // ...and back in our old place if the server still holds it, so peers keep their media
+      if (message.resumeToken && this.joinMessage) {
+        this.joinMessage = {
+          ...this.joinMessage,
+          resumePeerId: message.peerId,
+          resumeToken: message.resumeToken,
+        };
+      }
+    }
+    if (message.sessionId && message.sessionId !== this.sessionId) {
+      this.sessionId = message.sessionId;
+      this.log.setContext({ sessionId: message.sessionId });
+    }
+
+    if (message.type === 'error' && message.code === 'PIN_LOCKED') {
+      this.lockoutRetryAfter = message.retryAfter || null;
+    }
+
+    // Replies to request() settle its promise instead of the generic handlers
+    if (message.replyTo !== undefined && this.pending.has(message.replyTo)) {
+      this.settleRequest(message.replyTo, message);
       return true;
     }
-    console.warn('WebSocket not connected, message not sent:', data);
+
+    if (message.type === 'error') {
+      const error = new SignalingError(message);
+      this.log.warn('Signaling server error', {
+        code: error.code,
+        message: error.message,
+      });
+      this.onServerError(error);
+    } else if (message.type === 'ack') {
+      this.onAck(message);
+    } else if (message.type === 'server-shutdown') {
+      this.serverRetryAfter = message.retryAfter;
+      this.onServerShutdown(message);
+    }
     return false;
   }
 
+  nextMessageId() {
+    this.messageSeq++;
+    return `m${this.messageSeq}`;
+  }
+
+  // Objects are stamped with the protocol version and a message id for replies
+  stamp(data) {
+    if (typeof data === 'string') return data;
+    return {
+      v: PROTOCOL_VERSION,
+      ...data,
+      id: data.id !== undefined ? data.id : this.nextMessageId(),
+    };
+  }
+
+  transmit(message) {
+    const request = this.pending.get(message.id);
+    if (request) request.sent = true;
+    this.ws.send(
+      typeof message === 'string' ? message : JSON.stringify(message)
+    );
+  }
+
+  /**
+   * Send now, or queue until the socket reopens. `join` is remembered instead
+   * and re-sent on every (re)connect. Returns false if the message was dropped.
+   * @param {object|string} data
+   * @param {object} [options]
+   * @param {number} [options.ttl] - ms the message may wait in the queue (default queueTtl)
+   */
+  send(data, { ttl = this.queueTtl } = {}) {
+    const isJoin = typeof data !== 'string' && data.type === 'join';
+    if (isJoin) this.joinMessage = data;
+    // A viewer's simulcast layer outlives the socket, like its PIN
+    if (data.type === 'layer' && this.joinMessage) {
+      this.joinMessage = { ...this.joinMessage, layer: data.layer };
+    }
+
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.transmit(this.stamp(data));
+      return true;
+    }
+    if (isJoin) return true; // Sent from onopen
+
+    if (!this.shouldReconnect || this.maxQueueSize <= 0 || ttl <= 0) {
+      this.log.warn('WebSocket not connected, message not sent', {
+        type: typeof data === 'string' ? undefined : data.type,
+      });
+      return false;
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      const dropped = this.queue.shift();
+      this.log.warn('Outbound queue full, dropped oldest message', {
+        type: dropped.message.type,
+      });
+    }
+    this.queue.push({
+      message: this.stamp(data),
+      expiresAt: Date.now() + ttl,
+      // Queued after a socket dropped, so meant for the connection that's gone
+      afterDisconnect: this.hasConnected,
+    });
+    return true;
+  }
+
+  /**
+   * Send a message and wait for the server's reply to it, matched by message id.
+   * Resolves with the reply (`result`, `ack` or `joined`); rejects with a
+   * SignalingError carrying the server's error code or a RequestErrorCodes code.
+   * Waits in the outbound queue while reconnecting, for up to the timeout.
+   * @param {string} type - message type, e.g. 'query'
+   * @param {object} [payload] - the message's other fields
+   * @param {object} [options]
+   * @param {number} [options.timeout] - ms (default requestTimeout)
+   */
+  request(type, payload = {}, { timeout = this.requestTimeout } = {}) {
+    const message = this.stamp({ ...payload, type });
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () =>
+          this.settleRequest(message.id, null, {
+            code: RequestErrorCodes.TIMEOUT,
+            message: `No reply to "${type}" within ${timeout}ms`,
+          }),
+        timeout
+      );
+      this.pending.set(message.id, { resolve, reject, timer, sent: false });
+
+      if (!this.send(message, { ttl: timeout })) {
+        this.settleRequest(message.id, null, {
+          code: RequestErrorCodes.DISCONNECTED,
+          message: 'Not connected to the signaling server',
+        });
+      }
+    });
+  }
+
+  // Read-only server query - see PROTOCOL.md#queries
+  query(name, params = {}, options) {
+    return this.request('query', { query: name, ...params }, options);
+  }
+
+  // Settle with the server's reply, or reject with `failure` ({ code, message })
+  settleRequest(id, reply, failure = null) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    clearTimeout(request.timer);
+
+    if (failure) {
+      request.reject(new SignalingError(failure));
+    } else if (reply.type === 'error') {
+      request.reject(new SignalingError(reply));
+    } else {
+      request.resolve(reply);
+    }
+  }
+
+  failRequests(filter = () => true) {
+    for (const [id, request] of this.pending) {
+      if (!filter(request)) continue;
+      this.settleRequest(id, null, {
+        code: RequestErrorCodes.DISCONNECTED,
+        message: 'Connection closed before the server replied',
+      });
+    }
+  }
+
+  flushQueue() {
+    const queued = this.queue;
+    this.queue = [];
+    const now = Date.now();
+    let expired = 0;
+    let stale = 0;
+
+    for (const { message, expiresAt, afterDisconnect } of queued) {
+      if (expiresAt <= now) {
+        expired++;
+      } else if (
+        this.dropStaleCandidates &&
+        afterDisconnect &&
+        isIceCandidate(message)
+      ) {
+        stale++;
+      } else {
+        this.transmit(message);
+      }
+    }
+
+    if (queued.length) {
+      this.log.info('Flushed outbound queue', {
+        sent: queued.length - expired - stale,
+        expired,
+        stale,
+      });
+    }
+  }
+
   close() {
     this.shouldReconnect = false;
+    this.candidates = [];
+    clearTimeout(this.connectTimer);
+    this.queue = [];
+    this.joinMessage = null;
+    this.failRequests();
     if (this.ws) {
       this.ws.close();
       this.ws = null;
@@ -133,47 +570,95 @@ export class SignalingClient {
 }
 
 // Convenience function for simple usage
-export function createSignalingClient(url, options = {}) {
-  return new SignalingClient(url, options);
+export function createSignalingClient(urls, options = {}) {
+  return new SignalingClient(urls, options);
 }
 
-// Helper to create signaling client with common message handling
-export function createWebRTCSignaling(url, options = {}) {
-  const { role, room, onSignal, onStatusChange, ...clientOptions } = options;
+/**
+ * Signaling client with common message handling for the apps. Every change is
+ * reported through `onStatusChange(status, data)`:
+ *   connected       - first open; send your `join` now
+ *   reconnected     - later opens; the last `join` has already been re-sent
+ *   disconnected    - { code } - socket closed (followed by `reconnecting` unless
+ *                     closed by us or removed)
+ *   reconnecting    - { attempt, delay } - backing off before the next attempt, longer
+ *                     after a rate or connection limit close (4008-4010), until the
+ *                     lockout ends after a PIN lockout (4003)
+ *   server-shutdown - { retryAfter } - the server is restarting
+ *   server-error    - { error } - a SignalingError the server replied with
+ *   error           - { error } - WebSocket error
+ *   failed          - gave up after `maxRetries`, or { code } - removed by an
+ *                     administrator (4004); not reconnecting
+ * `signal` messages go to `onSignal(data, from)`, every other server message
+ * (joined, peer-joined, peer-left, removed, error...) to `onRoomEvent(message)`.
+ */
+export function createWebRTCSignaling(urls, options = {}) {
+  const {
+    role,
+    room,
+    onSignal,
+    onRoomEvent,
+    onStatusChange,
+    ...clientOptions
+  } = options;
+  const log =
+    clientOptions.logger ||
+    createLogger(role.toLowerCase(), { context: { room } });
+  let opened = false;
 
-  return createSignalingClient(url, {
+  return createSignalingClient(urls, {
     ...clientOptions,
+    logger: log,
     onOpen: () => {
-      console.log(`${role} connected to signaling server`);
+      if (opened) return; // Reported as `reconnected`
+      opened = true;
+      log.info('Connected to signaling server');
       onStatusChange?.('connected');
     },
     onMessage: (event) => {
-      const message = JSON.parse(event.data);
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        log.error('Failed to parse signaling message', error);
+        return;
+      }
+      log.debug('Signaling message', {
+        type: message.type,
+        from: message.from,
+      });
       if (message.type === 'signal') {
-        onSignal(message.data);
+        onSignal?.(message.data, message.from);
+      } else {
+        onRoomEvent?.(message);
       }
     },
+    onServerError: (error) => {
+      onStatusChange?.('server-error', { error });
+    },
+    onServerShutdown: ({ retryAfter }) => {
+      log.info('Signaling server shutting down', { retryAfter });
+      onStatusChange?.('server-shutdown', { retryAfter });
+    },
     onReconnecting: (attempt, delay) => {
-      console.log(
-        `${role} reconnecting... attempt ${attempt}, delay ${delay}ms`
-      );
       onStatusChange?.('reconnecting', { attempt, delay });
     },
     onReconnected: () => {
-      console.log(`${role} reconnected`);
+      log.info('Reconnected');
       onStatusChange?.('reconnected');
     },
-    onClose: () => {
-      console.log(`${role} disconnected`);
-      onStatusChange?.('disconnected');
+    onClose: (event) => {
+      log.info('Disconnected');
+      onStatusChange?.('disconnected', { code: event.code });
     },
     onError: (error) => {
-      console.error(`${role} signaling error:`, error);
       onStatusChange?.('error', { error });
     },
     onMaxRetriesReached: () => {
-      console.error(`${role} max reconnection attempts reached`);
       onStatusChange?.('failed');
     },
+    onClosedForGood: (event) => {
+      onStatusChange?.('failed', { code: event.code });
+    },
   });
 }
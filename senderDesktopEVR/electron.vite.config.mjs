@@ -4,6 +4,11 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   main: {
+    resolve: {
+      alias: {
+        '@shared': resolve('../rtc-signal/shared')
+      }
+    },
     plugins: [externalizeDepsPlugin()]
   },
   preload: {
@@ -12,13 +17,18 @@ export default defineConfig({
   renderer: {
     resolve: {
       alias: {
-        '@renderer': resolve('src/renderer/src')
+        '@renderer': resolve('src/renderer/src'),
+        // Client modules shared with the signaling server (logger, codecs)
+        '@shared': resolve('../rtc-signal/shared')
       }
     },
     plugins: [react()],
     server: {
       host: '0.0.0.0', // Listen on all network interfaces
-      port: 5173
+      port: 5173,
+      fs: {
+        allow: [resolve('.'), resolve('../rtc-signal/shared')]
+      }
     }
   }
 })
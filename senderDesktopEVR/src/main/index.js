@@ -1,9 +1,26 @@
-import { app, shell, BrowserWindow, ipcMain, Tray, Menu, nativeImage, clipboard } from 'electron'
+import {
+  app,
+  shell,
+  BrowserWindow,
+  ipcMain,
+  Tray,
+  Menu,
+  globalShortcut,
+  nativeImage,
+  clipboard,
+  desktopCapturer,
+  screen,
+  session,
+  Notification
+} from 'electron'
 import { join } from 'path'
 import { electronApp, optimizer, is } from '@electron-toolkit/utils'
 import { networkInterfaces } from 'os'
+import { createLogger } from '@shared/logger.js'
 import icon from '../../resources/icon.png?asset'
 
+const log = createLogger('sender-main')
+
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (require('electron-squirrel-startup')) {
   app.quit()
@@ -14,6 +31,32 @@ let mainWindow = null
 let isStreaming = false
 let currentRoom = 'living-room'
 let signalingServerPort = 8080
+// Content mode (renderer's utils/contentModes.js) - 'auto' follows what's on screen
+let contentMode = 'auto'
+let activeContentMode = null // The mode 'auto' picked, reported by the renderer
+// Whether the viewers see the screen: 'live', 'paused' or 'blanked' (renderer's utils/PrivacySlate.js)
+let privacyState = 'live'
+
+// System-wide while sharing - hiding the screen can't wait for the window to be focused.
+// Pressed again, they resume. Ctrl+Shift+P and +B belong to VS Code and Chrome, hence the Alt.
+// The window can change them (renderer's components/PrivacyShortcuts.jsx); '' turns one off.
+const DEFAULT_PRIVACY_SHORTCUTS = {
+  pause: 'CommandOrControl+Alt+Shift+P',
+  blank: 'CommandOrControl+Alt+Shift+B'
+}
+let privacyShortcuts = { ...DEFAULT_PRIVACY_SHORTCUTS }
+let unavailableShortcuts = [] // Actions whose shortcut another app holds, or that isn't valid
+
+// Region capture overlay (renderer's components/RegionSelector.jsx) and its pending answer
+let regionWindow = null
+let resolveRegion = null
+
+const CONTENT_MODE_LABELS = {
+  auto: 'Auto',
+  text: 'Text & code',
+  presentation: 'Presentation',
+  video: 'Video'
+}
 
 // Get local IP address
 const getLocalIPAddress = () => {
@@ -32,13 +75,13 @@ const getLocalIPAddress = () => {
   // Prefer 192.168.x.x addresses (most common for home networks)
   const homeNetwork = results.find((ip) => ip.startsWith('192.168.'))
   if (homeNetwork) {
-    console.log('🏠 Detected home network IP:', homeNetwork)
+    log.debug('Detected home network IP', { ip: homeNetwork })
     return homeNetwork
   }
 
   // Fallback to first available IP
   const fallback = results[0] || 'localhost'
-  console.log('🌐 Using IP address:', fallback)
+  log.debug('Using IP address', { ip: fallback })
   return fallback
 }
 
@@ -51,24 +94,21 @@ const getStreamURL = () => {
 
 const createTray = () => {
   try {
-    console.log('Creating system tray...')
-
     // Create tray icon - using system icon for better compatibility
     const trayIcon = nativeImage.createFromNamedImage('NSComputer', [16, 16])
     tray = new Tray(trayIcon)
 
-    console.log('Tray created successfully')
+    log.debug('Tray created')
 
     tray.setToolTip('Screen Mirror - Click to open menu')
     updateTrayMenu()
 
     // Handle tray icon click
     tray.on('click', () => {
-      console.log('Tray clicked')
       updateTrayMenu()
     })
   } catch (error) {
-    console.error('Failed to create tray:', error)
+    log.error('Failed to create tray', error)
     // Fallback: just create the main window
     createWindow()
   }
@@ -95,7 +135,7 @@ const updateTrayMenu = () => {
             click: () => {
               // Copy to clipboard only
               clipboard.writeText(streamURL)
-              console.log('📋 Copied stream URL to clipboard:', streamURL)
+              log.info('Copied stream URL to clipboard', { url: streamURL })
 
               // Show notification that URL was copied
               if (tray) {
@@ -108,6 +148,24 @@ const updateTrayMenu = () => {
             }
           },
           { type: 'separator' },
+          privacyState === 'live'
+            ? {
+                label: '⏸️ Pause (Freeze Frame)',
+                accelerator: shortcutAccelerator('pause'),
+                registerAccelerator: false,
+                click: () => setPrivacy('pause')
+              }
+            : {
+                label: privacyState === 'paused' ? '▶️ Resume (Paused)' : '▶️ Resume (Hidden)',
+                click: () => setPrivacy('resume')
+              },
+          {
+            label: '⬛ Blank Screen',
+            accelerator: shortcutAccelerator('blank'),
+            registerAccelerator: false,
+            enabled: privacyState !== 'blanked',
+            click: () => setPrivacy('blank')
+          },
           {
             label: '🔴 Stop Sharing',
             click: () => stopSharing()
@@ -122,6 +180,20 @@ const updateTrayMenu = () => {
       enabled: false
     },
 
+    // Content mode - applied by the renderer, which reports back what 'auto' picked
+    {
+      label:
+        contentMode === 'auto' && activeContentMode
+          ? `Content: Auto (${CONTENT_MODE_LABELS[activeContentMode]})`
+          : `Content: ${CONTENT_MODE_LABELS[contentMode]}`,
+      submenu: Object.entries(CONTENT_MODE_LABELS).map(([mode, label]) => ({
+        label,
+        type: 'radio',
+        checked: mode === contentMode,
+        click: () => setContentMode(mode)
+      }))
+    },
+
     { type: 'separator' },
     {
       label: '✈️ Open',
@@ -140,7 +212,7 @@ const updateTrayMenu = () => {
 
 const startSharing = async () => {
   try {
-    console.log('🚀 Starting screen sharing...')
+    log.info('Starting screen sharing', { room: currentRoom })
 
     // Update status
     isStreaming = true
@@ -169,22 +241,93 @@ const startSharing = async () => {
       })
     }
   } catch (error) {
-    console.error('Failed to start sharing:', error)
+    log.error('Failed to start sharing', error)
     isStreaming = false
     updateTrayMenu()
 
-    if (tray) {
-      tray.displayBalloon({
-        title: 'Sharing Failed',
-        content: 'Could not start screen sharing. Please try again.',
-        icon: nativeImage.createFromNamedImage('NSCaution')
-      })
+    notify('Sharing Failed', 'Could not start screen sharing. Please try again.')
+  }
+}
+
+// A system notification for problems the user should see - tray balloons only exist on Windows
+const notify = (title, body) => {
+  if (!Notification.isSupported()) return
+  new Notification({ title, body, icon }).show()
+}
+
+const setContentMode = (mode) => {
+  log.info('Content mode selected from tray', { mode })
+  contentMode = mode
+  updateTrayMenu()
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('set-content-mode', mode)
+  }
+}
+
+// 'pause', 'blank' or 'resume' - applied by the renderer, which reports the new state back
+const setPrivacy = (action) => {
+  log.info('Privacy action', { action })
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('set-privacy', action)
+  }
+}
+
+// Shown in the tray menu only when it works
+const shortcutAccelerator = (action) =>
+  privacyShortcuts[action] && !unavailableShortcuts.includes(action)
+    ? privacyShortcuts[action]
+    : undefined
+
+// Tell the window which shortcuts are set and which didn't register
+const reportPrivacyShortcuts = () => {
+  const status = { shortcuts: privacyShortcuts, unavailable: unavailableShortcuts }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('privacy-shortcuts', status)
+  }
+  return status
+}
+
+const registerPrivacyShortcuts = () => {
+  const toggles = {
+    pause: () => setPrivacy(privacyState === 'paused' ? 'resume' : 'pause'),
+    blank: () => setPrivacy(privacyState === 'blanked' ? 'resume' : 'blank')
+  }
+  unavailableShortcuts = Object.keys(privacyShortcuts).filter((action) => {
+    const accelerator = privacyShortcuts[action]
+    if (!accelerator) return false
+    try {
+      if (globalShortcut.isRegistered(accelerator)) return false
+      // False when another app holds the shortcut
+      return !globalShortcut.register(accelerator, toggles[action])
+    } catch {
+      return true // Not an accelerator Electron understands
     }
+  })
+
+  // The tray and window still work - make sure the user knows the keys don't
+  if (unavailableShortcuts.length) {
+    const taken = unavailableShortcuts.map((action) => privacyShortcuts[action]).join(', ')
+    log.warn('Could not register shortcuts', { shortcuts: taken })
+    notify(
+      'Shortcut Unavailable',
+      `${taken} is used by another app. Pick another shortcut in Screen Mirror, or use the tray menu.`
+    )
   }
+  reportPrivacyShortcuts()
+}
+
+const unregisterPrivacyShortcuts = () => {
+  Object.entries(privacyShortcuts).forEach(([action, accelerator]) => {
+    if (accelerator && !unavailableShortcuts.includes(action)) {
+      globalShortcut.unregister(accelerator)
+    }
+  })
+  unavailableShortcuts = []
 }
 
 const stopSharing = () => {
-  console.log('🔴 Stopping screen sharing...')
+  log.info('Stopping screen sharing')
 
   // Send stop sharing signal to renderer
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -205,10 +348,8 @@ const stopSharing = () => {
 }
 
 function createWindow() {
-  console.log('🖼️ Creating main window...')
   // Prevent multiple windows
   if (mainWindow && !mainWindow.isDestroyed()) {
-    console.log('🖼️ Main window already exists, focusing...')
     mainWindow.show() // Ensure it's visible
     mainWindow.focus()
     mainWindow.center() // Center on screen
@@ -241,15 +382,11 @@ function createWindow() {
     }
   })
 
-  console.log('🖼️ Main window created successfully')
-
   mainWindow.on('ready-to-show', () => {
-    console.log('🖼️ Main window ready to show')
     mainWindow.show()
 
     // Auto-open DevTools in development
     if (is.dev) {
-      console.log('🔧 Opening DevTools for debugging')
       mainWindow.webContents.openDevTools()
     }
   })
@@ -280,34 +417,101 @@ function createWindow() {
   }
 }
 
+// Cover one display with a transparent window to drag out the region to share. Resolves
+// with the region as fractions of the display (see renderer's utils/regions.js), or null
+// when cancelled.
+const selectRegion = ({ displayId, region } = {}) => {
+  finishRegion(null) // One overlay at a time
+
+  const display =
+    screen.getAllDisplays().find((d) => String(d.id) === String(displayId)) ||
+    screen.getPrimaryDisplay()
+  regionWindow = new BrowserWindow({
+    ...display.bounds,
+    frame: false,
+    transparent: true,
+    resizable: false,
+    movable: false,
+    skipTaskbar: true,
+    hasShadow: false,
+    enableLargerThanScreen: true,
+    webPreferences: {
+      preload: join(__dirname, '../preload/index.js'),
+      sandbox: false,
+      contextIsolation: true
+    }
+  })
+  regionWindow.setAlwaysOnTop(true, 'screen-saver')
+  // Adjusting mid-stream shouldn't show the overlay on the TV
+  regionWindow.setContentProtection(true)
+
+  const query = region ? { region: JSON.stringify(region) } : {}
+  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
+    regionWindow.loadURL(
+      `${process.env['ELECTRON_RENDERER_URL']}?${new URLSearchParams(query)}#region-selector`
+    )
+  } else {
+    regionWindow.loadFile(join(__dirname, '../renderer/index.html'), {
+      query,
+      hash: 'region-selector'
+    })
+  }
+
+  const overlay = regionWindow
+  return new Promise((resolve) => {
+    resolveRegion = resolve
+    overlay.on('closed', () => {
+      if (regionWindow !== overlay) return // Replaced by a newer overlay
+      regionWindow = null
+      finishRegion(null)
+    })
+  })
+}
+
+const finishRegion = (region) => {
+  const resolve = resolveRegion
+  resolveRegion = null
+  if (resolve) resolve(region)
+  if (regionWindow && !regionWindow.isDestroyed()) regionWindow.close()
+}
+
 // IPC handlers
 ipcMain.on('connect-to-tv', () => {
-  console.log('Legacy connect-to-tv - using startSharing instead')
+  log.debug('Legacy connect-to-tv, starting sharing')
   startSharing()
 })
 
 ipcMain.on('disconnect', () => {
-  console.log('Legacy disconnect - using stopSharing instead')
+  log.debug('Legacy disconnect, stopping sharing')
   stopSharing()
 })
 
 // mDNS discovery removed - now using simple share/stop model
 ipcMain.on('discover-tvs', () => {
-  console.log('TV discovery disabled - using direct streaming model')
+  log.debug('Ignoring discover-tvs, discovery is disabled')
 })
 
 ipcMain.on('update-quality', (event, settings) => {
-  console.log('Quality settings updated:', settings)
+  log.info('Quality settings updated', settings)
   // Quality settings will be handled in the renderer process
 })
 
-ipcMain.on('streaming-started', () => {
+// The renderer passes the sessionId the server gave this share, so both processes log under it
+ipcMain.on('streaming-started', (event, { sessionId } = {}) => {
+  log.setContext({ sessionId })
+  log.info('Streaming started')
   isStreaming = true
+  registerPrivacyShortcuts()
   updateTrayMenu()
 })
 
 ipcMain.on('streaming-stopped', () => {
+  log.info('Streaming stopped')
+  log.setContext({ sessionId: undefined })
   isStreaming = false
+  activeContentMode = null
+  privacyState = 'live'
+  unregisterPrivacyShortcuts()
   updateTrayMenu()
 })
 // Get local IP address for renderer
@@ -317,8 +521,8 @@ ipcMain.handle('get-local-ip', () => {
 
 // Handle room updates from renderer
 ipcMain.on('update-room', (event, newRoom) => {
-  console.log('🏠 Main process received room update:', newRoom)
   currentRoom = newRoom
+  log.setContext({ room: newRoom })
   updateTrayMenu() // Update tray menu with new room
 })
 
@@ -327,43 +531,96 @@ ipcMain.handle('get-current-room', () => {
   return currentRoom
 })
 
-// Get desktop sources for screen capture
-ipcMain.handle('get-desktop-sources', async () => {
-  const { desktopCapturer } = require('electron')
+// Content mode changes from the renderer - chosen in the window or detected in 'auto'
+ipcMain.on('update-content-mode', (event, { mode, active }) => {
+  contentMode = mode
+  activeContentMode = active
+  updateTrayMenu()
+})
+
+// Pause, blank and resume from the renderer - chosen in the window, the tray or a shortcut
+ipcMain.on('update-privacy', (event, state) => {
+  privacyState = state
+  updateTrayMenu()
+})
+
+// Privacy shortcuts chosen in the window - { pause, blank }, null for the defaults. Answers
+// with reportPrivacyShortcuts()'s status; while sharing they're registered right away.
+ipcMain.handle('set-privacy-shortcuts', (event, shortcuts) => {
+  unregisterPrivacyShortcuts()
+  privacyShortcuts = Object.fromEntries(
+    Object.entries(DEFAULT_PRIVACY_SHORTCUTS).map(([action, fallback]) => {
+      const accelerator = shortcuts?.[action]
+      return [action, typeof accelerator === 'string' ? accelerator.trim().slice(0, 64) : fallback]
+    })
+  )
+  if (isStreaming) registerPrivacyShortcuts()
+  updateTrayMenu()
+  return reportPrivacyShortcuts()
+})
+
+// Get content mode (for renderer to sync on startup)
+ipcMain.handle('get-content-mode', () => {
+  return contentMode
+})
+
+// Get desktop sources for screen capture - displays and windows, for the source picker
+ipcMain.handle('get-desktop-sources', async (event, { types = ['screen', 'window'] } = {}) => {
   try {
     const sources = await desktopCapturer.getSources({
-      types: ['screen'], // Only get screen sources, not individual windows
-      thumbnailSize: { width: 300, height: 200 }
-    })
-    console.log('📺 Found', sources.length, 'screen sources')
-
-    // Sort sources to prioritize primary display
-    const sortedSources = sources.sort((a, b) => {
-      // Put "Entire screen" or "Screen 1" first
-      if (a.name.includes('Entire screen') || a.name.includes('Screen 1')) return -1
-      if (b.name.includes('Entire screen') || b.name.includes('Screen 1')) return 1
-      return 0
+      types,
+      thumbnailSize: { width: 300, height: 200 },
+      fetchWindowIcons: true
     })
+    log.debug('Found desktop sources', { count: sources.length })
+
+    // Screens first, the primary display leading; windows keep the capturer's order
+    const primaryDisplayId = String(screen.getPrimaryDisplay().id)
+    const rank = (source) => {
+      if (!source.id.startsWith('screen:')) return 2
+      return source.display_id === primaryDisplayId ? 0 : 1
+    }
+    const sortedSources = sources.sort((a, b) => rank(a) - rank(b))
 
     return sortedSources.map((source) => ({
       id: source.id,
       name: source.name,
-      thumbnail: source.thumbnail.toDataURL()
+      type: source.id.startsWith('screen:') ? 'screen' : 'window',
+      displayId: source.display_id || null,
+      thumbnail: source.thumbnail.toDataURL(),
+      appIcon: source.appIcon ? source.appIcon.toDataURL() : null
     }))
   } catch (error) {
-    console.error('Failed to get desktop sources:', error)
+    log.error('Failed to get desktop sources', error)
     throw error
   }
 })
 
+// Identifies the current set of displays, e.g. laptop alone vs docked - the source
+// picker remembers one choice per layout
+ipcMain.handle('get-display-layout', () => {
+  return screen
+    .getAllDisplays()
+    .map(({ id, bounds }) => `${id}:${bounds.width}x${bounds.height}+${bounds.x}+${bounds.y}`)
+    .sort()
+    .join(',')
+})
+
+// Region capture - the renderer asks, the overlay answers
+ipcMain.handle('select-region', (event, options) => selectRegion(options))
+
+ipcMain.on('region-selected', (event, region) => {
+  finishRegion(region)
+})
+
 // Handle opening external URLs
 ipcMain.handle('shell-open-external', async (event, url) => {
   try {
-    console.log('🌐 Opening external URL:', url)
+    log.info('Opening external URL', { url })
     await shell.openExternal(url)
     return { success: true }
   } catch (error) {
-    console.error('Failed to open external URL:', error)
+    log.error('Failed to open external URL', error)
     throw error
   }
 })
@@ -378,8 +635,6 @@ app.commandLine.appendSwitch('disable-web-security') // Allow getDisplayMedia
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
 app.whenReady().then(() => {
-  console.log('Electron app is ready')
-
   // Set app user model id for windows
   electronApp.setAppUserModelId('com.waltherandstilling.screenmirror')
 
@@ -389,12 +644,23 @@ app.whenReady().then(() => {
     optimizer.watchWindowShortcuts(window)
   })
 
+  // System audio for the renderer's AudioMixer: getDisplayMedia() is answered with the
+  // primary screen plus loopback audio. The renderer keeps only the audio track.
+  session.defaultSession.setDisplayMediaRequestHandler(async (request, callback) => {
+    try {
+      const [source] = await desktopCapturer.getSources({ types: ['screen'] })
+      callback({ video: source, audio: 'loopback' })
+    } catch (error) {
+      log.error('Failed to answer display media request', error)
+      callback({})
+    }
+  })
+
   // Create tray
   createTray()
 
   // Create initial window for testing
   setTimeout(() => {
-    console.log('Opening settings window for testing...')
     createWindow()
   }, 1000)
 
@@ -403,8 +669,6 @@ app.whenReady().then(() => {
     // dock icon is clicked and there are no other windows open.
     if (BrowserWindow.getAllWindows().length === 0) createWindow()
   })
-
-  console.log('App initialization complete')
 })
 
 app.on('window-all-closed', (event) => {
@@ -412,6 +676,10 @@ app.on('window-all-closed', (event) => {
   event.preventDefault()
 })
 
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll()
+})
+
 app.on('before-quit', () => {
   app.isQuiting = true
 
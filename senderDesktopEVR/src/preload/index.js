@@ -10,7 +10,7 @@ const api = {
   updateQuality: (settings) => ipcRenderer.send('update-quality', settings),
 
   // Streaming status methods
-  streamingStarted: () => ipcRenderer.send('streaming-started'),
+  streamingStarted: (session) => ipcRenderer.send('streaming-started', session),
   streamingStopped: () => ipcRenderer.send('streaming-stopped'),
 
   // Network utilities
@@ -20,8 +20,24 @@ const api = {
   updateRoom: (room) => ipcRenderer.send('update-room', room),
   getCurrentRoom: () => ipcRenderer.invoke('get-current-room'),
 
-  // Screen capture utilities
-  getDesktopSources: () => ipcRenderer.invoke('get-desktop-sources'),
+  // Content mode (see utils/contentModes.js)
+  updateContentMode: (state) => ipcRenderer.send('update-content-mode', state),
+  getContentMode: () => ipcRenderer.invoke('get-content-mode'),
+
+  // Pause, blank and resume (see utils/PrivacySlate.js) - state: 'live', 'paused' or 'blanked'
+  updatePrivacy: (state) => ipcRenderer.send('update-privacy', state),
+  // Global shortcuts { pause, blank } (null for the defaults) - resolves with
+  // { shortcuts, unavailable }, also pushed to onPrivacyShortcuts when they're registered
+  setPrivacyShortcuts: (shortcuts) => ipcRenderer.invoke('set-privacy-shortcuts', shortcuts),
+
+  // Screen capture utilities - options: { types: ['screen', 'window'] }
+  getDesktopSources: (options) => ipcRenderer.invoke('get-desktop-sources', options),
+  getDisplayLayout: () => ipcRenderer.invoke('get-display-layout'),
+
+  // Region capture - selectRegion({ displayId, region }) opens the overlay, which answers
+  // with regionSelected(region), null to cancel (see utils/regions.js)
+  selectRegion: (options) => ipcRenderer.invoke('select-region', options),
+  regionSelected: (region) => ipcRenderer.send('region-selected', region),
 
   // Shell utilities
   shell: {
@@ -31,6 +47,9 @@ const api = {
   // Event listeners
   onStartSharing: (callback) => ipcRenderer.on('start-sharing', callback),
   onStopSharing: (callback) => ipcRenderer.on('stop-sharing', callback),
+  onSetContentMode: (callback) => ipcRenderer.on('set-content-mode', callback),
+  onSetPrivacy: (callback) => ipcRenderer.on('set-privacy', callback),
+  onPrivacyShortcuts: (callback) => ipcRenderer.on('privacy-shortcuts', callback),
   onAutoConnect: (callback) => ipcRenderer.on('auto-connect', callback),
   onDisconnect: (callback) => ipcRenderer.on('disconnect', callback),
   onTVsDiscovered: (callback) => ipcRenderer.on('tvs-discovered', callback),
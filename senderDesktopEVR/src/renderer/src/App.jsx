@@ -1,6 +1,9 @@
 import ScreenMirrorApp from './ScreenMirrorApp'
+import RegionSelector from './components/RegionSelector'
 
 function App() {
+  // The main process opens this page as the region capture overlay too
+  if (window.location.hash === '#region-selector') return <RegionSelector />
   return <ScreenMirrorApp />
 }
 
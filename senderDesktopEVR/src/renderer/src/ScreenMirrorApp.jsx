@@ -1,5 +1,9 @@
 import { useEffect } from 'react'
 import { useScreenSender } from './hooks/useScreenSender'
+import SourcePicker from './components/SourcePicker'
+import RegionControls from './components/RegionControls'
+import PrivacyShortcuts from './components/PrivacyShortcuts'
+import QualityLayers from './components/QualityLayers'
 
 const ROOM_NAME = 'living-room'
 
@@ -9,12 +13,31 @@ function ScreenMirrorApp() {
     isStreaming,
     error,
     room,
+    roomPin,
     localIP,
+    sources,
+    source,
+    region,
+    regionPresets,
+    privacy,
+    privacyShortcuts,
+    simulcastLayers,
     startSharing,
     stopSharing,
     cancelConnection,
     openReceiverURL,
     getStreamURL,
+    refreshSources,
+    selectSource,
+    setRegion,
+    selectRegion,
+    saveRegionPreset,
+    deleteRegionPreset,
+    pauseSharing,
+    blankScreen,
+    resumeSharing,
+    setPrivacyShortcuts,
+    setSimulcastLayers,
     setRoom
   } = useScreenSender()
 
@@ -31,7 +54,7 @@ function ScreenMirrorApp() {
     if (isStreaming) {
       // Stop sharing when streaming
       stopSharing()
-    } else if (status === 'connecting' || status === 'checking') {
+    } else if (status === 'connecting' || status === 'checking' || status === 'waiting') {
       // Cancel connection attempt when connecting
       cancelConnection()
     } else {
@@ -45,6 +68,7 @@ function ScreenMirrorApp() {
     if (error && error.type === 'no-receiver') return 'no-receiver'
     if (isStreaming) return 'streaming'
     if (connectionState === 'checking-receiver') return 'checking'
+    if (connectionState === 'waiting-for-receiver') return 'waiting'
     if (connectionState === 'connecting' || connectionState === 'starting') return 'connecting'
     if (connectionState === 'connected' || connectionState.startsWith('webrtc-')) return 'connected'
     if (connectionState === 'reconnecting') return 'reconnecting'
@@ -57,6 +81,7 @@ function ScreenMirrorApp() {
     if (error) return `Error: ${error}`
     if (isStreaming) return 'Screen sharing active!'
     if (connectionState === 'checking-receiver') return 'Checking for receiver...'
+    if (connectionState === 'waiting-for-receiver') return 'Waiting for a receiver to join...'
     if (connectionState === 'connecting' || connectionState === 'starting') return 'Connecting...'
     if (connectionState === 'connected') return 'Connected! Establishing WebRTC...'
     if (connectionState.startsWith('webrtc-')) return 'WebRTC connection established'
@@ -71,6 +96,7 @@ function ScreenMirrorApp() {
         return 'text-green-600 bg-green-50'
       case 'connecting':
       case 'checking':
+      case 'waiting':
         return 'text-orange-600 bg-orange-50'
       case 'streaming':
         return 'text-blue-600 bg-blue-50'
@@ -91,6 +117,7 @@ function ScreenMirrorApp() {
         return `${baseClass} bg-green-500`
       case 'connecting':
       case 'checking':
+      case 'waiting':
         return `${baseClass} bg-orange-500 animate-pulse`
       case 'streaming':
         return `${baseClass} bg-blue-500`
@@ -105,7 +132,7 @@ function ScreenMirrorApp() {
 
   const getButtonText = () => {
     const status = getDisplayStatus()
-    if (status === 'streaming') return '🛑 Stop Sharing'
+    if (status === 'streaming' || status === 'waiting') return '🛑 Stop Sharing'
     if (status === 'connecting' || status === 'checking') return '❌ Cancel Connection'
     if (status === 'error' || status === 'no-receiver') return '🔄 Try Again'
     return '🚀 Start Screen Sharing'
@@ -147,7 +174,7 @@ function ScreenMirrorApp() {
             </h3>
             <p className="text-sm text-blue-700 mb-3">
               Open this URL in any web browser or open the TV App (must be on the same WIFI network)
-              you should see waiting for room as answerer...
+              - it can be opened before or after you start sharing
             </p>
           </div>
           <div className="bg-white p-3 rounded-lg border border-blue-200 mb-3">
@@ -183,6 +210,29 @@ function ScreenMirrorApp() {
           </p>
         </div>
 
+        <SourcePicker
+          sources={sources}
+          selected={source}
+          onRefresh={refreshSources}
+          onSelect={selectSource}
+        />
+
+        <RegionControls
+          region={region}
+          presets={regionPresets}
+          disabled={source?.type === 'window'}
+          onSelectRegion={selectRegion}
+          onSetRegion={setRegion}
+          onSavePreset={saveRegionPreset}
+          onDeletePreset={deleteRegionPreset}
+        />
+
+        <QualityLayers
+          count={simulcastLayers}
+          isStreaming={isStreaming}
+          onChange={setSimulcastLayers}
+        />
+
         {/* Status */}
         {/* <div className="mb-6">
           <ConnectionStatus
@@ -232,6 +282,51 @@ function ScreenMirrorApp() {
                 Keep this app running to continue sharing. Click &quot;Stop Sharing&quot; when done.
               </p>
             </div>
+
+            {/* Hide the screen for a moment - also in the tray menu and on global shortcuts */}
+            <div className="flex gap-2 mt-3">
+              {privacy === 'live' ? (
+                <button
+                  onClick={pauseSharing}
+                  className="flex-1 py-2 text-sm font-medium text-green-800 bg-green-100 hover:bg-green-200 rounded-lg transition-colors"
+                >
+                  ⏸️ Pause
+                </button>
+              ) : (
+                <button
+                  onClick={resumeSharing}
+                  className="flex-1 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg transition-colors"
+                >
+                  ▶️ Resume
+                </button>
+              )}
+              <button
+                onClick={() => blankScreen('slate')}
+                disabled={privacy === 'blanked'}
+                className="flex-1 py-2 text-sm font-medium text-green-800 bg-green-100 hover:bg-green-200 disabled:opacity-50 rounded-lg transition-colors"
+              >
+                ⬛ Blank
+              </button>
+              <button
+                onClick={() => blankScreen('black')}
+                disabled={privacy === 'blanked'}
+                className="flex-1 py-2 text-sm font-medium text-green-800 bg-green-100 hover:bg-green-200 disabled:opacity-50 rounded-lg transition-colors"
+              >
+                🌑 Black
+              </button>
+            </div>
+            {privacy !== 'live' && (
+              <p className="mt-2 text-xs text-center text-green-700">
+                {privacy === 'paused'
+                  ? 'Paused - viewers see the last frame'
+                  : 'Screen hidden - viewers see a blank screen'}
+              </p>
+            )}
+            <PrivacyShortcuts
+              shortcuts={privacyShortcuts.shortcuts}
+              unavailable={privacyShortcuts.unavailable}
+              onChange={setPrivacyShortcuts}
+            />
           </div>
         )}
 
@@ -243,6 +338,14 @@ function ScreenMirrorApp() {
               {room}
             </span>
           </div>
+          {roomPin && (
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-gray-600 text-sm">Room PIN:</span>
+              <span className="font-mono bg-yellow-100 px-2 py-1 rounded text-sm font-semibold tracking-widest">
+                {roomPin}
+              </span>
+            </div>
+          )}
           <div className="flex justify-between items-center mb-3">
             <span className="text-gray-600 text-sm">Server:</span>
             <span className="font-mono bg-gray-200 px-2 py-1 rounded text-sm font-semibold">
@@ -251,7 +354,7 @@ function ScreenMirrorApp() {
           </div>
           {!isStreaming ? (
             <p className="text-xs text-gray-500 text-center">
-              📋 Remember: Open the URL above in a browser first, then start sharing
+              📋 Open the URL above in a browser or the TV App - before or after you start sharing
             </p>
           ) : (
             <p className="text-xs text-green-600 text-center font-medium">
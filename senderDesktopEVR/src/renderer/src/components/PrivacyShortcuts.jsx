@@ -0,0 +1,98 @@
+/* eslint-disable react/prop-types */
+import { useState } from 'react'
+
+const ACTIONS = { pause: 'Pause', blank: 'Blank' }
+
+const isMac = navigator.userAgent.includes('Mac')
+
+// 'CommandOrControl+Alt+Shift+P' as the user knows it
+const describe = (accelerator) =>
+  accelerator
+    ? accelerator
+        .replace('CommandOrControl', isMac ? '⌘' : 'Ctrl')
+        .replace('Alt', isMac ? '⌥' : 'Alt')
+        .replace('Shift', isMac ? '⇧' : 'Shift')
+    : 'Off'
+
+// An Electron accelerator from a key press - null while only modifiers are down. Function
+// keys may go alone; anything else needs a modifier, or it would swallow typing everywhere.
+const toAccelerator = (event) => {
+  let key = null
+  if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3)
+  else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5)
+  else if (/^F\d{1,2}$/.test(event.code)) key = event.code
+  if (!key) return null
+
+  const modifiers = [
+    (event.metaKey || event.ctrlKey) && 'CommandOrControl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift'
+  ].filter(Boolean)
+  if (!modifiers.length && !key.startsWith('F')) return null
+  return [...modifiers, key].join('+')
+}
+
+// The global pause and blank shortcuts: press the new keys to change one, Backspace turns it
+// off. Main reports the ones another app already holds - the buttons and tray still work then.
+const PrivacyShortcuts = ({ shortcuts, unavailable, onChange }) => {
+  const [recording, setRecording] = useState(null) // Action waiting for its keys
+
+  if (!shortcuts) return null
+
+  const handleKeyDown = (event) => {
+    event.preventDefault()
+    if (event.key === 'Escape') {
+      setRecording(null)
+      return
+    }
+    const accelerator = event.key === 'Backspace' ? '' : toAccelerator(event)
+    if (accelerator === null) return
+    onChange({ ...shortcuts, [recording]: accelerator })
+    setRecording(null)
+  }
+
+  return (
+    <div className="mt-3 text-xs text-green-700">
+      <div className="flex items-center gap-2">
+        <span>Shortcuts:</span>
+        {Object.entries(ACTIONS).map(([action, label]) =>
+          recording === action ? (
+            <button
+              key={action}
+              autoFocus
+              onKeyDown={handleKeyDown}
+              onBlur={() => setRecording(null)}
+              className="py-1 px-2 font-medium text-white bg-green-600 rounded-lg"
+            >
+              {label}: press keys…
+            </button>
+          ) : (
+            <button
+              key={action}
+              onClick={() => setRecording(action)}
+              title="Click, then press the new shortcut (Backspace turns it off)"
+              className={`py-1 px-2 font-medium rounded-lg transition-colors ${
+                unavailable.includes(action)
+                  ? 'text-red-700 bg-red-100 line-through'
+                  : 'text-green-800 bg-green-100 hover:bg-green-200'
+              }`}
+            >
+              {label}: {describe(shortcuts[action])}
+            </button>
+          )
+        )}
+        <button onClick={() => onChange(null)} className="text-green-600 hover:underline">
+          Reset
+        </button>
+      </div>
+      {unavailable.length > 0 && (
+        <p className="mt-1 text-red-700">
+          ⚠️ {unavailable.map((action) => describe(shortcuts[action])).join(', ')} is used by
+          another app - click it to pick another shortcut.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default PrivacyShortcuts
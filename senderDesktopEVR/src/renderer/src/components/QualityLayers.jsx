@@ -0,0 +1,43 @@
+import PropTypes from 'prop-types'
+import { SIMULCAST_LAYERS } from '../utils/ScreenSender'
+
+const chipClass = (active) =>
+  `py-1 px-2 text-xs font-medium rounded-lg transition-colors ${
+    active ? 'text-white bg-blue-600' : 'text-blue-700 bg-blue-100 hover:bg-blue-200'
+  }`
+
+// How many simulcast layers each viewer connection carries. Every receiver picks its own
+// layer (web-receiver.html?layer=low, or the admin API); with one the stream is scaled to it,
+// with more the sender just switches between the layers it already encodes.
+const QualityLayers = ({ count, isStreaming, onChange }) => (
+  <div className="mb-6 p-3 bg-gray-50 rounded-lg">
+    <div className="flex items-center gap-2">
+      <span className="text-gray-600 text-sm">Quality layers:</span>
+      {[1, 2, 3].map((layers) => (
+        <button
+          key={layers}
+          onClick={() => onChange(layers)}
+          className={chipClass(layers === count)}
+        >
+          {SIMULCAST_LAYERS.slice(0, layers)
+            .map(({ layer }) => layer)
+            .join(' + ')}
+        </button>
+      ))}
+    </div>
+    <p className="mt-1 text-xs text-gray-500">
+      {count > 1
+        ? 'Each viewer is sent every layer and plays the one it asked for - receivers that cannot take several get the top one'
+        : 'One stream per viewer, scaled to the layer it asked for'}
+      {isStreaming && '. Viewers already watching keep their layers until they reconnect.'}
+    </p>
+  </div>
+)
+
+QualityLayers.propTypes = {
+  count: PropTypes.oneOf([1, 2, 3]).isRequired,
+  isStreaming: PropTypes.bool,
+  onChange: PropTypes.func.isRequired
+}
+
+export default QualityLayers
@@ -1,13 +1,32 @@
-/* eslint-disable react/prop-types */
 import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { VIDEO_CODECS } from '@shared/codecs.js'
+import { CONTENT_MODES, CONTENT_MODE_NAMES } from '../utils/contentModes'
 
-const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
+const QualitySettings = ({
+  onQualityUpdate,
+  isStreaming,
+  qualityPreset,
+  qualityDecision,
+  contentMode,
+  activeContentMode,
+  onContentModeChange,
+  codecPreference,
+  receivers,
+  codecPins,
+  onCodecPreferenceChange,
+  onPinCodec
+}) => {
   // Default to highest quality settings
   const [maxBitrate, setMaxBitrate] = useState(5000000) // 5 Mbps
   const [maxFramerate, setMaxFramerate] = useState(60)
   const [scaleResolutionDownBy, setScaleResolutionDownBy] = useState(1)
 
   const presets = {
+    // Adapts bitrate, frame rate and resolution to the network (ScreenSender's BitrateController)
+    auto: {
+      name: 'Auto (adapts to network)'
+    },
     'ultra-high': {
       name: 'Ultra High (5 Mbps)',
       maxBitrate: 5000000,
@@ -36,13 +55,16 @@ const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
 
   const handlePresetChange = (presetKey) => {
     const preset = presets[presetKey]
-    if (preset) {
+    if (presetKey === 'auto') {
+      onQualityUpdate({ preset: 'auto' })
+    } else if (preset) {
       setMaxBitrate(preset.maxBitrate)
       setMaxFramerate(preset.maxFramerate)
       setScaleResolutionDownBy(preset.scaleResolutionDownBy)
 
       if (isStreaming) {
         onQualityUpdate({
+          preset: presetKey,
           maxBitrate: preset.maxBitrate,
           maxFramerate: preset.maxFramerate,
           scaleResolutionDownBy: preset.scaleResolutionDownBy
@@ -51,8 +73,14 @@ const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
     }
   }
 
+  // Move one codec to the front, keeping the order of the rest
+  const handlePreferCodec = (codec) => {
+    onCodecPreferenceChange([codec, ...codecPreference.filter((name) => name !== codec)])
+  }
+
   const handleApplySettings = () => {
     onQualityUpdate({
+      preset: 'custom',
       maxBitrate,
       maxFramerate,
       scaleResolutionDownBy
@@ -76,13 +104,89 @@ const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
           {Object.entries(presets).map(([key, preset]) => (
             <button
               key={key}
-              className="btn btn-secondary preset-btn"
+              className={`btn ${key === qualityPreset ? 'btn-primary' : 'btn-secondary'} preset-btn`}
               onClick={() => handlePresetChange(key)}
             >
               {preset.name}
             </button>
           ))}
         </div>
+        {qualityPreset === 'auto' && qualityDecision && (
+          <div className="setting-description">
+            Auto: {formatBitrate(qualityDecision.maxBitrate)}, {qualityDecision.maxFramerate} fps
+            {qualityDecision.scaleResolutionDownBy > 1 &&
+              `, 1/${qualityDecision.scaleResolutionDownBy} resolution`}{' '}
+            ({qualityDecision.reason})
+          </div>
+        )}
+      </div>
+
+      <div className="settings-section">
+        <h3>Content</h3>
+        <div className="preset-buttons">
+          {['auto', ...Object.keys(CONTENT_MODES)].map((key) => (
+            <button
+              key={key}
+              className={`btn ${key === contentMode ? 'btn-primary' : 'btn-secondary'} preset-btn`}
+              onClick={() => onContentModeChange(key)}
+            >
+              {key === 'auto' ? 'Auto (detects content)' : CONTENT_MODES[key].label}
+            </button>
+          ))}
+        </div>
+        {contentMode === 'auto' && activeContentMode && (
+          <div className="setting-description">
+            Detected: {CONTENT_MODES[activeContentMode].label}
+          </div>
+        )}
+      </div>
+
+      <div className="settings-section">
+        <h3>Video Codec</h3>
+        <div className="preset-buttons">
+          {VIDEO_CODECS.map((codec) => (
+            <button
+              key={codec}
+              className={`btn ${codec === codecPreference[0] ? 'btn-primary' : 'btn-secondary'} preset-btn`}
+              onClick={() => handlePreferCodec(codec)}
+            >
+              {codec}
+            </button>
+          ))}
+        </div>
+        <div className="setting-description">Order: {codecPreference.join(' → ')}</div>
+
+        {receivers.map((receiver) => (
+          <div className="form-group" key={receiver.peerId}>
+            <label htmlFor={`codec-pin-${receiver.peerId}`}>
+              {receiver.device || 'Unknown receiver'}: {receiver.codec || 'negotiating...'}
+              {receiver.layer && receiver.layer !== 'auto' && ` (${receiver.layer} layer)`}
+            </label>
+            <select
+              id={`codec-pin-${receiver.peerId}`}
+              value={receiver.pinned || ''}
+              disabled={!receiver.device}
+              onChange={(e) => onPinCodec(receiver.device, e.target.value || null)}
+            >
+              <option value="">Follow preference</option>
+              {(receiver.codecs || VIDEO_CODECS).map((codec) => (
+                <option key={codec} value={codec}>
+                  Always {codec}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+        {Object.entries(codecPins)
+          .filter(([device]) => !receivers.some((receiver) => receiver.device === device))
+          .map(([device, codec]) => (
+            <div className="setting-description" key={device}>
+              {device}: always {codec}{' '}
+              <button className="btn btn-secondary" onClick={() => onPinCodec(device, null)}>
+                Unpin
+              </button>
+            </div>
+          ))}
       </div>
 
       <div className="settings-section">
@@ -150,9 +254,32 @@ const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
       <div className="settings-section">
         <h3>Quality Guidelines</h3>
         <div className="guidelines">
+          <div className="guideline-item">
+            <strong>Auto:</strong>
+            <p>
+              Starts at 4 Mbps and follows the network every second, up to 15 Mbps at 60fps. Lowers
+              frame rate and resolution when bandwidth or CPU runs short. Default setting.
+            </p>
+          </div>
+          <div className="guideline-item">
+            <strong>Content:</strong>
+            <p>
+              Text & code keeps text sharp at up to 15fps, Presentation allows 30fps for slide
+              transitions, Video keeps motion smooth at 60fps and gives up resolution first. Auto
+              picks one from how often the screen changes. The content mode caps every preset.
+            </p>
+          </div>
+          <div className="guideline-item">
+            <strong>Video Codec:</strong>
+            <p>
+              H.264 first by default - most Android TVs decode it in hardware. VP9 and AV1 look
+              better at low bitrates where the receiver can decode them. Pin a codec for a TV whose
+              decoder struggles with the others; pins are kept per receiver name.
+            </p>
+          </div>
           <div className="guideline-item">
             <strong>Ultra High (5 Mbps):</strong>
-            <p>Maximum quality with 60fps. Requires excellent network. Default setting.</p>
+            <p>Maximum quality with 60fps. Requires excellent network.</p>
           </div>
           <div className="guideline-item">
             <strong>High Quality (3 Mbps):</strong>
@@ -171,7 +298,7 @@ const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
         <div className="tips">
           <h4>💡 Optimization Tips</h4>
           <ul>
-            <li>App defaults to Ultra High quality - reduce if you experience issues</li>
+            <li>App defaults to Auto quality - pick a fixed preset to hold it steady</li>
             <li>Lower frame rate if video appears choppy</li>
             <li>Reduce bitrate if connection keeps dropping</li>
             <li>Use resolution scaling only if needed for slower networks</li>
@@ -183,4 +310,35 @@ const QualitySettings = ({ onQualityUpdate, isStreaming }) => {
   )
 }
 
+QualitySettings.propTypes = {
+  onQualityUpdate: PropTypes.func.isRequired,
+  isStreaming: PropTypes.bool,
+  qualityPreset: PropTypes.string,
+  // BitrateController's current choice while the preset is 'auto'
+  qualityDecision: PropTypes.shape({
+    maxBitrate: PropTypes.number,
+    maxFramerate: PropTypes.number,
+    scaleResolutionDownBy: PropTypes.number,
+    reason: PropTypes.string
+  }),
+  contentMode: PropTypes.oneOf(CONTENT_MODE_NAMES).isRequired,
+  activeContentMode: PropTypes.oneOf(Object.keys(CONTENT_MODES)),
+  onContentModeChange: PropTypes.func.isRequired,
+  codecPreference: PropTypes.arrayOf(PropTypes.oneOf(VIDEO_CODECS)).isRequired,
+  // ScreenSender's viewers, as reported to onReceiversChange
+  receivers: PropTypes.arrayOf(
+    PropTypes.shape({
+      peerId: PropTypes.string.isRequired,
+      device: PropTypes.string,
+      codec: PropTypes.string,
+      codecs: PropTypes.arrayOf(PropTypes.string),
+      layer: PropTypes.string,
+      pinned: PropTypes.string
+    })
+  ).isRequired,
+  codecPins: PropTypes.objectOf(PropTypes.string).isRequired, // device -> codec
+  onCodecPreferenceChange: PropTypes.func.isRequired,
+  onPinCodec: PropTypes.func.isRequired
+}
+
 export default QualitySettings
@@ -0,0 +1,117 @@
+/* eslint-disable react/prop-types */
+import { useState } from 'react'
+import { REGION_PRESETS, sameRegion } from '../utils/regions'
+
+const chipClass = (active) =>
+  `py-1 px-2 text-xs font-medium rounded-lg transition-colors ${
+    active ? 'text-white bg-blue-600' : 'text-blue-700 bg-blue-100 hover:bg-blue-200'
+  }`
+
+// Share part of the display: drag it out in the overlay, or pick a preset. Works while
+// streaming - the receivers follow without reconnecting.
+const RegionControls = ({
+  region,
+  presets,
+  disabled,
+  onSelectRegion,
+  onSetRegion,
+  onSavePreset,
+  onDeletePreset
+}) => {
+  const [presetName, setPresetName] = useState('')
+
+  const describe = () => {
+    if (!region) return 'Full display'
+    const preset =
+      Object.values(REGION_PRESETS).find((p) => sameRegion(p.region, region)) ||
+      presets.find((p) => sameRegion(p.region, region))
+    if (preset) return preset.label || preset.name
+    return `${Math.round(region.width * 100)}% × ${Math.round(region.height * 100)}% of the display`
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const name = presetName.trim()
+    if (!name) return
+    onSavePreset(name, region)
+    setPresetName('')
+  }
+
+  if (disabled) {
+    return (
+      <div className="mb-6 p-3 bg-gray-50 rounded-lg text-xs text-gray-500 text-center">
+        Regions apply to displays - a window is shared whole
+      </div>
+    )
+  }
+
+  return (
+    <div className="mb-6 p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center mb-2">
+        <span className="text-gray-600 text-sm">Region:</span>
+        <span className="flex-1 mx-3 text-sm font-semibold text-gray-800 truncate">
+          {describe()}
+        </span>
+        <button
+          onClick={onSelectRegion}
+          className="py-1 px-3 text-sm font-medium text-blue-700 bg-blue-100 hover:bg-blue-200 rounded-lg transition-colors"
+        >
+          ✂️ Select...
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        <button onClick={() => onSetRegion(null)} className={chipClass(!region)}>
+          Full display
+        </button>
+        {Object.entries(REGION_PRESETS).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => onSetRegion(preset.region)}
+            className={chipClass(sameRegion(preset.region, region))}
+          >
+            {preset.label}
+          </button>
+        ))}
+        {presets.map((preset) => (
+          <span key={preset.name} className="inline-flex">
+            <button
+              onClick={() => onSetRegion(preset.region)}
+              className={chipClass(sameRegion(preset.region, region))}
+            >
+              {preset.name}
+            </button>
+            <button
+              onClick={() => onDeletePreset(preset.name)}
+              title={`Delete "${preset.name}"`}
+              className="px-1 text-xs text-gray-400 hover:text-red-600"
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {region && (
+        <form onSubmit={handleSave} className="flex gap-2 mt-2">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Save as preset, e.g. Editor window"
+            className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!presetName.trim()}
+            className="py-1 px-3 text-xs font-medium text-blue-700 bg-blue-100 hover:bg-blue-200 disabled:opacity-50 rounded-lg"
+          >
+            Save
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default RegionControls
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from 'react'
+import { clampRegion } from '../utils/regions'
+
+// The region passed by main's select-region, to start from
+const initialRegion = () => {
+  try {
+    return clampRegion(JSON.parse(new URLSearchParams(window.location.search).get('region')))
+  } catch {
+    return null
+  }
+}
+
+// Full-display overlay window opened by main's select-region. Drag to draw the region,
+// drag inside it to move it; Enter shares it, Escape cancels.
+const RegionSelector = () => {
+  const [region, setRegion] = useState(initialRegion) // Fractions of the display
+  const drag = useRef(null) // { mode: 'draw' | 'move', start, origin }
+
+  const finish = (result) => window.api.regionSelected(result)
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') finish(null)
+      if (e.key === 'Enter' && region) finish(region)
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [region])
+
+  const point = (e) => ({ x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight })
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return
+    const start = point(e)
+    const inside =
+      region &&
+      start.x >= region.x &&
+      start.x <= region.x + region.width &&
+      start.y >= region.y &&
+      start.y <= region.y + region.height
+    drag.current = { mode: inside ? 'move' : 'draw', start, origin: region }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const { mode, start, origin } = drag.current || {}
+    if (!mode) return
+    const current = point(e)
+    if (mode === 'move') {
+      setRegion({
+        ...origin,
+        x: Math.min(Math.max(origin.x + current.x - start.x, 0), 1 - origin.width),
+        y: Math.min(Math.max(origin.y + current.y - start.y, 0), 1 - origin.height)
+      })
+    } else {
+      setRegion({
+        x: Math.min(start.x, current.x),
+        y: Math.min(start.y, current.y),
+        width: Math.abs(current.x - start.x),
+        height: Math.abs(current.y - start.y)
+      })
+    }
+  }
+
+  const handlePointerUp = () => {
+    drag.current = null
+    setRegion((current) => clampRegion(current))
+  }
+
+  return (
+    <div
+      className="fixed inset-0 cursor-crosshair select-none"
+      style={{ background: region ? 'transparent' : 'rgba(0, 0, 0, 0.4)' }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      {region && (
+        <div
+          className="absolute border-2 border-blue-500 cursor-move"
+          style={{
+            left: `${region.x * 100}%`,
+            top: `${region.y * 100}%`,
+            width: `${region.width * 100}%`,
+            height: `${region.height * 100}%`,
+            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.4)'
+          }}
+        >
+          <span className="absolute top-1 left-1 px-2 py-0.5 text-xs font-mono text-white bg-blue-600 rounded">
+            {Math.round(region.width * window.innerWidth)} ×{' '}
+            {Math.round(region.height * window.innerHeight)}
+          </span>
+        </div>
+      )}
+
+      <div
+        className="absolute top-6 left-1/2 -translate-x-1/2 flex items-center gap-3 px-4 py-2 bg-white rounded-lg shadow-lg text-sm cursor-default"
+        onPointerDown={(e) => e.stopPropagation()}
+      >
+        <span className="text-gray-600">Drag to select the part of the screen to share</span>
+        <button
+          onClick={() => finish(region)}
+          disabled={!region}
+          className="py-1 px-3 font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 rounded-lg"
+        >
+          Share region
+        </button>
+        <button
+          onClick={() => finish(null)}
+          className="py-1 px-3 font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RegionSelector
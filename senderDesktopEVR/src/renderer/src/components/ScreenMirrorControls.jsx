@@ -1,4 +1,6 @@
 import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { AUDIO_SOURCES } from '../utils/AudioMixer'
 
 const ScreenMirrorControls = ({
   room,
@@ -9,6 +11,14 @@ const ScreenMirrorControls = ({
   onServerUrlChange,
   onStartSharing,
   onStopSharing,
+  audio,
+  onAudioSourceChange,
+  onAudioVolumeChange,
+  onAudioMutedChange,
+  privacy,
+  onPause,
+  onBlank,
+  onResume,
   stats
 }) => {
   const [localRoom, setLocalRoom] = useState(room)
@@ -71,6 +81,46 @@ const ScreenMirrorControls = ({
           />
         </div>
 
+        {audio && (
+          <div className="form-group">
+            <label htmlFor="audio-source">Audio:</label>
+            <select
+              id="audio-source"
+              value={audio.source}
+              onChange={(e) => onAudioSourceChange(e.target.value)}
+            >
+              {Object.entries(AUDIO_SOURCES).map(([source, label]) => (
+                <option key={source} value={source}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {audio.source !== 'off' && (
+              <div className="audio-volume">
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => onAudioMutedChange(!audio.muted)}
+                  title={audio.muted ? 'Unmute' : 'Mute'}
+                >
+                  {audio.muted ? '🔇' : '🔊'}
+                </button>
+                <input
+                  id="audio-volume"
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={Math.round(audio.volume * 100)}
+                  disabled={audio.muted}
+                  onChange={(e) => onAudioVolumeChange(parseInt(e.target.value) / 100)}
+                />
+                <span>{audio.muted ? 'Muted' : `${Math.round(audio.volume * 100)}%`}</span>
+              </div>
+            )}
+            {audio.error && <div className="setting-description">⚠️ {audio.error}</div>}
+          </div>
+        )}
+
         <div className="control-buttons">
           {!isStreaming ? (
             <button
@@ -82,11 +132,38 @@ const ScreenMirrorControls = ({
               🎬 Start Screen Sharing
             </button>
           ) : (
-            <button id="stop-btn" className="btn btn-danger" onClick={onStopSharing}>
-              ⏹️ Stop Sharing
-            </button>
+            <>
+              {/* Hide the screen for a moment - viewers stay connected */}
+              {privacy === 'live' ? (
+                <button id="pause-btn" className="btn btn-secondary" onClick={onPause}>
+                  ⏸️ Pause
+                </button>
+              ) : (
+                <button id="resume-btn" className="btn btn-primary" onClick={onResume}>
+                  ▶️ Resume
+                </button>
+              )}
+              <button
+                id="blank-btn"
+                className="btn btn-secondary"
+                onClick={() => onBlank('slate')}
+                disabled={privacy === 'blanked'}
+              >
+                ⬛ Blank
+              </button>
+              <button id="stop-btn" className="btn btn-danger" onClick={onStopSharing}>
+                ⏹️ Stop Sharing
+              </button>
+            </>
           )}
         </div>
+        {isStreaming && privacy !== 'live' && (
+          <div className="setting-description">
+            {privacy === 'paused'
+              ? '⏸️ Paused - viewers see the last frame'
+              : '🙈 Screen hidden - viewers see a blank screen'}
+          </div>
+        )}
       </div>
 
       {isStreaming && stats && (
@@ -115,6 +192,10 @@ const ScreenMirrorControls = ({
                   <span className="stat-label">Bytes Sent:</span>
                   <span className="stat-value">{formatBytes(stats.video.bytesSent)}</span>
                 </div>
+                <div className="stat-item">
+                  <span className="stat-label">Codec:</span>
+                  <span className="stat-value">{stats.video.codec || '-'}</span>
+                </div>
                 <div className="stat-item">
                   <span className="stat-label">Frames Encoded:</span>
                   <span className="stat-value">{stats.video.framesEncoded || 0}</span>
@@ -187,4 +268,49 @@ const ScreenMirrorControls = ({
   )
 }
 
+ScreenMirrorControls.propTypes = {
+  room: PropTypes.string,
+  serverUrl: PropTypes.string,
+  isStreaming: PropTypes.bool,
+  isConnected: PropTypes.bool,
+  onRoomChange: PropTypes.func.isRequired,
+  onServerUrlChange: PropTypes.func.isRequired,
+  onStartSharing: PropTypes.func.isRequired,
+  onStopSharing: PropTypes.func.isRequired,
+  // useScreenSender's audio state
+  audio: PropTypes.shape({
+    source: PropTypes.oneOf(Object.keys(AUDIO_SOURCES)).isRequired,
+    volume: PropTypes.number.isRequired,
+    muted: PropTypes.bool.isRequired,
+    error: PropTypes.string
+  }).isRequired,
+  onAudioSourceChange: PropTypes.func.isRequired,
+  onAudioVolumeChange: PropTypes.func.isRequired,
+  onAudioMutedChange: PropTypes.func.isRequired,
+  privacy: PropTypes.oneOf(['live', 'paused', 'blanked']).isRequired,
+  onPause: PropTypes.func.isRequired,
+  onBlank: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  // ScreenSender's getStats() summary
+  stats: PropTypes.shape({
+    video: PropTypes.shape({
+      frameWidth: PropTypes.number,
+      frameHeight: PropTypes.number,
+      framesPerSecond: PropTypes.number,
+      bitrate: PropTypes.number,
+      bytesSent: PropTypes.number,
+      codec: PropTypes.string,
+      framesEncoded: PropTypes.number
+    }),
+    audio: PropTypes.shape({
+      bytesSent: PropTypes.number,
+      packetsSent: PropTypes.number
+    }),
+    connection: PropTypes.shape({
+      currentRoundTripTime: PropTypes.number,
+      availableOutgoingBitrate: PropTypes.number
+    })
+  })
+}
+
 export default ScreenMirrorControls
@@ -0,0 +1,97 @@
+/* eslint-disable react/prop-types */
+import { useState } from 'react'
+
+const SOURCE_GROUPS = [
+  ['screen', '🖥️ Displays'],
+  ['window', '🪟 Windows']
+]
+
+// Thumbnails of every display and window from the get-desktop-sources IPC. Picking one
+// while sharing switches the stream over without the receivers reconnecting.
+const SourcePicker = ({ sources, selected, onRefresh, onSelect }) => {
+  const [open, setOpen] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  const refresh = async () => {
+    setLoading(true)
+    await onRefresh()
+    setLoading(false)
+  }
+
+  const toggle = () => {
+    if (!open) refresh()
+    setOpen(!open)
+  }
+
+  const pick = async (source) => {
+    setOpen(false)
+    await onSelect(source)
+  }
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center p-3 bg-gray-50 rounded-lg">
+        <span className="text-gray-600 text-sm">Sharing:</span>
+        <span className="flex-1 mx-3 text-sm font-semibold text-gray-800 truncate">
+          {selected ? selected.name : 'Primary display'}
+        </span>
+        <button
+          onClick={toggle}
+          className="py-1 px-3 text-sm font-medium text-blue-700 bg-blue-100 hover:bg-blue-200 rounded-lg transition-colors"
+        >
+          {open ? 'Close' : 'Change'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-3 max-h-80 overflow-y-auto">
+          {loading && sources.length === 0 && (
+            <p className="text-sm text-gray-500 text-center">Loading displays and windows...</p>
+          )}
+          {SOURCE_GROUPS.map(([type, title]) => {
+            const group = sources.filter((source) => source.type === type)
+            if (!group.length) return null
+            return (
+              <div key={type} className="mb-3">
+                <h4 className="text-xs font-semibold text-gray-500 uppercase mb-2">{title}</h4>
+                <div className="grid grid-cols-2 gap-2">
+                  {group.map((source) => (
+                    <button
+                      key={source.id}
+                      onClick={() => pick(source)}
+                      title={source.name}
+                      className={`p-1 rounded-lg border-2 text-left transition-colors ${
+                        source.id === selected?.id
+                          ? 'border-blue-500 bg-blue-50'
+                          : 'border-gray-200 hover:border-blue-300'
+                      }`}
+                    >
+                      <img
+                        src={source.thumbnail}
+                        alt=""
+                        className="w-full aspect-video object-contain bg-gray-900 rounded"
+                      />
+                      <div className="flex items-center gap-1 mt-1 text-xs text-gray-700">
+                        {source.appIcon && <img src={source.appIcon} alt="" className="w-4 h-4" />}
+                        <span className="truncate">{source.name}</span>
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )
+          })}
+          <button
+            onClick={refresh}
+            disabled={loading}
+            className="w-full py-1 text-xs text-gray-500 hover:text-gray-700"
+          >
+            🔄 Refresh
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SourcePicker
@@ -1,18 +1,106 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
+import { DEFAULT_CODEC_PREFERENCE, negotiatedCodec } from '@shared/codecs.js'
+import { createLogger } from '@shared/logger.js'
 import ScreenSender from '../utils/ScreenSender'
 
+const log = createLogger('sender-ui')
+
+// Codec pins outlive the session - they describe the user's TVs
+const CODEC_PINS_KEY = 'screen-mirror:codec-pins'
+
+const loadCodecPins = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CODEC_PINS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// Simulcast layers published per viewer (see ScreenSender.setSimulcastLayers), 1-3
+const SIMULCAST_LAYERS_KEY = 'screen-mirror:simulcast-layers'
+
+const loadSimulcastLayers = () => {
+  const count = Number(localStorage.getItem(SIMULCAST_LAYERS_KEY))
+  return count >= 1 && count <= 3 ? count : 1
+}
+
+// The display or window picked per display layout (see get-display-layout in main)
+const SOURCE_CHOICES_KEY = 'screen-mirror:sources'
+
+const loadSourceChoices = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SOURCE_CHOICES_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// Regions saved by name, e.g. a window's bounds - [{ name, region }] (see utils/regions.js)
+const REGION_PRESETS_KEY = 'screen-mirror:region-presets'
+
+const loadRegionPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REGION_PRESETS_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+// Global pause/blank shortcuts - { pause, blank } accelerators, null for main's defaults
+const PRIVACY_SHORTCUTS_KEY = 'screen-mirror:privacy-shortcuts'
+
+const loadPrivacyShortcuts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRIVACY_SHORTCUTS_KEY))
+  } catch {
+    return null
+  }
+}
+
 export const useScreenSender = () => {
   const [connectionState, setConnectionState] = useState('disconnected')
   const [isStreaming, setIsStreaming] = useState(false)
   const [error, setError] = useState(null)
   const [stats, setStats] = useState(null)
   const [room, setRoom] = useState('living-room') // Match ScreenSender default
+  const [roomPin, setRoomPin] = useState(null) // Issued by the signaling server on join
   const [serverUrl, setServerUrl] = useState(
     process.env.NODE_ENV === 'production'
       ? 'wss://your-signaling-server.com' // Cloud WSS for production
       : 'ws://localhost:8080' // Local for development
   )
+  // Tried in order when serverUrl is unreachable, e.g. the cloud server when away from the LAN
+  const [fallbackServerUrls, setFallbackServerUrls] = useState(
+    process.env.NODE_ENV === 'production' ? ['wss://your-signaling-server.com'] : []
+  )
   const [localIP, setLocalIP] = useState('localhost')
+  const [qualityPreset, setQualityPreset] = useState('auto') // See ScreenSender.setQualityPreset
+  const [qualityDecision, setQualityDecision] = useState(null) // Latest adaptive quality change
+  const [contentMode, setContentModeState] = useState('auto') // See utils/contentModes.js
+  const [activeContentMode, setActiveContentMode] = useState(null) // The mode in effect
+  const [codecPreference, setCodecPreferenceState] = useState(DEFAULT_CODEC_PREFERENCE)
+  const [codecPins, setCodecPins] = useState(loadCodecPins) // Receiver device -> codec
+  const [simulcastLayers, setSimulcastLayersState] = useState(loadSimulcastLayers)
+  const [receivers, setReceivers] = useState([]) // { peerId, device, codecs, codec, pinned }
+  const [sources, setSources] = useState([]) // Displays and windows, for the source picker
+  const [source, setSource] = useState(null) // { id, name, type } - null is the primary display
+  const [displayLayout, setDisplayLayout] = useState(null)
+  const [region, setRegionState] = useState(null) // Part of the display shared, null for all
+  const [regionPresets, setRegionPresets] = useState(loadRegionPresets)
+  const [privacy, setPrivacy] = useState('live') // 'paused' or 'blanked' hide the screen
+  // { shortcuts: { pause, blank }, unavailable: actions another app holds } - from main
+  const [privacyShortcuts, setPrivacyShortcutsStatus] = useState({
+    shortcuts: null,
+    unavailable: []
+  })
+  // Audio sent with the screen (see utils/AudioMixer.js) - inputs and error come from the sender
+  const [audio, setAudio] = useState({
+    source: 'off',
+    inputs: [],
+    volume: 1,
+    muted: false,
+    error: null
+  })
 
   const screenSenderRef = useRef(null)
   const statsIntervalRef = useRef(null)
@@ -20,17 +108,31 @@ export const useScreenSender = () => {
   // Create screen sender instance
   const createScreenSender = useCallback(
     (options = {}) => {
+      const primaryUrl = options.serverUrl || serverUrl
       const sender = new ScreenSender({
-        signalingUrl: options.serverUrl || serverUrl,
+        signalingUrls: [primaryUrl, ...fallbackServerUrls.filter((url) => url !== primaryUrl)],
         room: options.room || room,
-        // Default to highest quality settings
+        qualityPreset,
+        contentMode,
+        codecPreference,
+        codecPins,
+        simulcastLayers,
+        audioSource: audio.source,
+        audioVolume: audio.volume,
+        audioMuted: audio.muted,
+        source,
+        region,
+        // Used by fixed presets - 'auto' adapts to each viewer's network instead
         encodingParameters: {
           maxBitrate: 5000000, // 5 Mbps
           maxFramerate: 60,
           scaleResolutionDownBy: 1
         },
         onStatusChange: (status, data) => {
-          console.log('📡 Connection status change:', status, data)
+          // Tag our own lines with the peerId and sessionId the sender was given on join
+          const { peerId, sessionId } = sender.log.context
+          log.setContext({ room: sender.room, peerId, sessionId })
+          log.debug('Connection status change', { status })
           setConnectionState(status)
 
           if (status === 'error' || status === 'failed') {
@@ -51,58 +153,105 @@ export const useScreenSender = () => {
           }
         },
         onStreamStarted: () => {
-          console.log('🎬 Stream started successfully')
+          log.info('Stream started')
           setIsStreaming(true)
           startStatsCollection()
 
           // Notify main process
           if (window.api?.streamingStarted) {
-            console.log('📱 Notifying main process: streaming started')
-            window.api.streamingStarted()
+            window.api.streamingStarted({ sessionId: sender.log.context.sessionId })
           }
         },
         onStreamEnded: () => {
-          console.log('⏹️ Stream ended')
+          log.info('Stream ended')
           setIsStreaming(false)
+          setPrivacy('live')
           stopStatsCollection()
 
           // Notify main process
           if (window.api?.streamingStopped) {
-            console.log('📱 Notifying main process: streaming stopped')
             window.api.streamingStopped()
           }
         },
         onError: (err) => {
-          console.error('❌ Screen sender error:', err)
+          log.error('Screen sender error', err)
           setError(err.message || 'Unknown error occurred')
+        },
+        onRoomPin: (pin) => {
+          log.info('Room PIN issued')
+          setRoomPin(pin)
+        },
+        onQualityDecision: (decision) => {
+          setQualityDecision(decision)
+        },
+        onReceiversChange: (list) => {
+          setReceivers(list)
+        },
+        onAudioChange: (state) => {
+          setAudio(state)
+        },
+        onSourceChange: (captured) => {
+          setSource(captured)
+        },
+        onRegionChange: (shared) => {
+          setRegionState(shared)
+        },
+        onPrivacyChange: (state) => {
+          setPrivacy(state)
+
+          // Keep the tray menu in sync
+          if (window.api?.updatePrivacy) {
+            window.api.updatePrivacy(state)
+          }
+        },
+        onContentModeChange: ({ mode, active, reason }) => {
+          log.info('Content mode', { mode, active, reason })
+          setActiveContentMode(active)
+
+          // Keep the tray menu in sync
+          if (window.api?.updateContentMode) {
+            window.api.updateContentMode({ mode, active })
+          }
         }
       })
 
       return sender
     },
-    [room, serverUrl]
+    [
+      room,
+      serverUrl,
+      fallbackServerUrls,
+      qualityPreset,
+      contentMode,
+      codecPreference,
+      codecPins,
+      simulcastLayers,
+      audio.source,
+      audio.volume,
+      audio.muted,
+      source,
+      region
+    ]
   )
 
   // Start screen sharing
   const startSharing = useCallback(
     async (options = {}) => {
       try {
-        console.log('🚀 Starting screen sharing with options:', options)
+        log.info('Starting screen sharing', { room: options.room, serverUrl: options.serverUrl })
         setError(null)
 
         // Update settings if provided
         if (options.room) {
-          console.log('📝 Setting room to:', options.room)
           setRoom(options.room)
         }
         if (options.serverUrl) {
-          console.log('📝 Setting server URL to:', options.serverUrl)
           setServerUrl(options.serverUrl)
         }
 
         // Stop existing sender
         if (screenSenderRef.current) {
-          console.log('🛑 Stopping existing screen sender')
+          log.info('Stopping existing screen sender')
           screenSenderRef.current.stop()
         }
 
@@ -111,11 +260,6 @@ export const useScreenSender = () => {
         const finalServerUrl = options.serverUrl || serverUrl
         
         // Create new sender with explicit parameters
-        console.log('🔧 Creating new screen sender with final params:', {
-          room: finalRoom,
-          serverUrl: finalServerUrl
-        })
-        
         screenSenderRef.current = createScreenSender({
           ...options,
           room: finalRoom,
@@ -123,10 +267,9 @@ export const useScreenSender = () => {
         })
 
         // Start sharing
-        console.log('▶️ Starting screen capture and sharing')
         await screenSenderRef.current.start()
       } catch (err) {
-        console.error('❌ Failed to start sharing:', err)
+        log.error('Failed to start sharing', err)
         setError(err.message || 'Failed to start screen sharing')
         setConnectionState('error')
       }
@@ -136,52 +279,240 @@ export const useScreenSender = () => {
 
   // Cancel connection attempt
   const cancelConnection = useCallback(() => {
-    console.log('🛑 Canceling connection attempt')
+    log.info('Cancelling connection attempt')
     if (screenSenderRef.current) {
       screenSenderRef.current.cancelConnection()
       screenSenderRef.current = null
     }
     setConnectionState('disconnected')
     setIsStreaming(false)
+    setPrivacy('live')
     setError(null)
     stopStatsCollection()
-    console.log('✅ Connection attempt cancelled')
+    log.setContext({ peerId: undefined, sessionId: undefined })
   }, [])
 
   // Stop screen sharing
   const stopSharing = useCallback(() => {
-    console.log('🛑 Stopping screen sharing')
+    log.info('Stopping screen sharing')
     if (screenSenderRef.current) {
       screenSenderRef.current.stop()
       screenSenderRef.current = null
     }
     setConnectionState('disconnected')
     setIsStreaming(false)
+    setPrivacy('live')
+    setRoomPin(null)
+    setActiveContentMode(null)
+    setReceivers([])
+    setAudio((state) => ({ ...state, inputs: [], error: null }))
     stopStatsCollection()
-    console.log('✅ Screen sharing stopped')
+    log.setContext({ peerId: undefined, sessionId: undefined })
   }, [])
 
-  // Update quality settings
+  // Update quality settings - { preset: 'auto' } or a fixed preset with its parameters
   const updateQuality = useCallback(async (settings) => {
-    console.log('⚙️ Updating quality settings:', settings)
+    log.info('Updating quality settings', settings)
+    const { preset = 'custom', ...params } = settings
+    setQualityPreset(preset)
+    if (preset !== 'auto') setQualityDecision(null)
     if (screenSenderRef.current) {
       try {
-        await screenSenderRef.current.setEncodingParameters(settings)
-        console.log('✅ Quality settings updated successfully')
+        await screenSenderRef.current.setQualityPreset(preset, params)
 
         // Notify main process
         if (window.api?.updateQuality) {
           window.api.updateQuality(settings)
         }
       } catch (err) {
-        console.error('❌ Failed to update quality:', err)
+        log.error('Failed to update quality', err)
         setError('Failed to update quality settings')
       }
     } else {
-      console.warn('⚠️ Cannot update quality - no active screen sender')
+      log.debug('No active screen sender, quality applies to the next one')
+    }
+  }, [])
+
+  // Select a content mode - 'auto' or a key of CONTENT_MODES
+  const setContentMode = useCallback(async (mode) => {
+    log.debug('Setting content mode', { mode })
+    setContentModeState(mode)
+    if (screenSenderRef.current) {
+      try {
+        await screenSenderRef.current.setContentMode(mode)
+      } catch (err) {
+        log.error('Failed to set content mode', err)
+        setError('Failed to set content mode')
+      }
+    } else if (window.api?.updateContentMode) {
+      // Applied when sharing starts; let the tray show it now
+      window.api.updateContentMode({ mode, active: null })
+    }
+  }, [])
+
+  // Reorder the codec list, e.g. ['VP9', 'H264', 'VP8', 'AV1'] - viewers renegotiate
+  const setCodecPreference = useCallback(async (preference) => {
+    log.debug('Setting codec preference', { preference })
+    setCodecPreferenceState(preference)
+    if (screenSenderRef.current) {
+      await screenSenderRef.current.setCodecPreference(preference)
+    }
+  }, [])
+
+  // Always send `codec` to receivers named `device`; null unpins
+  const pinCodec = useCallback(async (device, codec) => {
+    log.info('Pinning codec', { device, codec })
+    setCodecPins((pins) => {
+      const next = { ...pins }
+      if (codec) next[device] = codec
+      else delete next[device]
+      localStorage.setItem(CODEC_PINS_KEY, JSON.stringify(next))
+      return next
+    })
+    if (screenSenderRef.current) {
+      await screenSenderRef.current.pinCodec(device, codec)
+    }
+  }, [])
+
+  // Publish 1-3 simulcast layers - viewers that connect afterwards get them, and each picks
+  // its own with `layer` (e.g. web-receiver.html?layer=low)
+  const setSimulcastLayers = useCallback((count) => {
+    log.info('Setting simulcast layers', { count })
+    setSimulcastLayersState(count)
+    localStorage.setItem(SIMULCAST_LAYERS_KEY, String(count))
+    if (screenSenderRef.current) {
+      screenSenderRef.current.setSimulcastLayers(count)
+    }
+  }, [])
+
+  // Pick the audio source - 'off', 'system', 'microphone' or 'mix'
+  const setAudioSource = useCallback(async (source) => {
+    log.debug('Setting audio source', { source })
+    setAudio((state) => ({ ...state, source, error: null }))
+    if (screenSenderRef.current) {
+      await screenSenderRef.current.setAudioSource(source)
+    }
+  }, [])
+
+  // 0-1, of what the viewers hear
+  const setAudioVolume = useCallback((volume) => {
+    setAudio((state) => ({ ...state, volume }))
+    screenSenderRef.current?.setAudioVolume(volume)
+  }, [])
+
+  const setAudioMuted = useCallback((muted) => {
+    log.debug(muted ? 'Muting audio' : 'Unmuting audio')
+    setAudio((state) => ({ ...state, muted }))
+    screenSenderRef.current?.setAudioMuted(muted)
+  }, [])
+
+  // List displays and windows with thumbnails for the source picker
+  const refreshSources = useCallback(async () => {
+    if (!window.api?.getDesktopSources) return
+    try {
+      const [list, layout] = await Promise.all([
+        window.api.getDesktopSources(),
+        window.api.getDisplayLayout()
+      ])
+      setSources(list)
+      setDisplayLayout(layout)
+    } catch (err) {
+      log.error('Failed to list desktop sources', err)
+      setError('Could not list displays and windows')
     }
   }, [])
 
+  // Share another display or window - switched over mid-stream when sharing
+  const selectSource = useCallback(
+    async (picked) => {
+      const { id, name, type, displayId = null } = picked
+      const choice = { id, name, type, displayId }
+      log.info('Selecting source', { source: choice.name })
+      setSource(choice)
+      if (displayLayout) {
+        const choices = { ...loadSourceChoices(), [displayLayout]: choice }
+        localStorage.setItem(SOURCE_CHOICES_KEY, JSON.stringify(choices))
+      }
+      if (screenSenderRef.current) {
+        try {
+          await screenSenderRef.current.switchSource(choice)
+        } catch (err) {
+          log.error('Failed to switch source', err)
+          setError(err.message || 'Failed to switch source')
+        }
+      }
+    },
+    [displayLayout]
+  )
+
+  // Share part of the display (fractions, see utils/regions.js) - null shares all of it
+  const setRegion = useCallback(async (next) => {
+    log.debug('Setting region', { region: next })
+    setRegionState(next)
+    if (screenSenderRef.current) {
+      try {
+        await screenSenderRef.current.setRegion(next)
+      } catch (err) {
+        log.error('Failed to set region', err)
+        setError(err.message || 'Failed to set region')
+      }
+    }
+  }, [])
+
+  // Drag out a region in the main process's overlay, on the display being shared
+  const selectRegion = useCallback(async () => {
+    if (!window.api?.selectRegion) return
+    const picked = await window.api.selectRegion({ displayId: source?.displayId, region })
+    if (picked) await setRegion(picked)
+  }, [source, region, setRegion])
+
+  // Hide the screen without disconnecting: 'pause' freezes the last frame, 'blank' shows a
+  // slate (style 'slate' or 'black'), 'resume' goes live again. See utils/PrivacySlate.js.
+  const changePrivacy = useCallback(async (action, style) => {
+    log.info('Privacy', { action })
+    if (!screenSenderRef.current) {
+      log.warn('Cannot change privacy - no active screen sender')
+      return
+    }
+    try {
+      if (action === 'pause') await screenSenderRef.current.pause()
+      else if (action === 'blank') await screenSenderRef.current.blank(style)
+      else await screenSenderRef.current.resume()
+    } catch (err) {
+      log.error('Failed to change privacy', err)
+      setError(err.message || 'Failed to hide the screen')
+    }
+  }, [])
+
+  const pauseSharing = useCallback(() => changePrivacy('pause'), [changePrivacy])
+  const blankScreen = useCallback((style) => changePrivacy('blank', style), [changePrivacy])
+  const resumeSharing = useCallback(() => changePrivacy('resume'), [changePrivacy])
+
+  // null goes back to the defaults
+  const setPrivacyShortcuts = useCallback(async (shortcuts) => {
+    if (shortcuts) localStorage.setItem(PRIVACY_SHORTCUTS_KEY, JSON.stringify(shortcuts))
+    else localStorage.removeItem(PRIVACY_SHORTCUTS_KEY)
+    if (window.api?.setPrivacyShortcuts) {
+      setPrivacyShortcutsStatus(await window.api.setPrivacyShortcuts(shortcuts))
+    }
+  }, [])
+
+  const saveRegionPreset = useCallback((name, saved) => {
+    setRegionPresets((presets) => {
+      const next = [...presets.filter((preset) => preset.name !== name), { name, region: saved }]
+      localStorage.setItem(REGION_PRESETS_KEY, JSON.stringify(next))
+      return next
+    })
+  }, [])
+
+  const deleteRegionPreset = useCallback((name) => {
+    setRegionPresets((presets) => {
+      const next = presets.filter((preset) => preset.name !== name)
+      localStorage.setItem(REGION_PRESETS_KEY, JSON.stringify(next))
+      return next
+    })
+  }, [])
+
   // Start collecting connection stats
   const startStatsCollection = useCallback(() => {
     if (statsIntervalRef.current) return
@@ -196,7 +527,7 @@ export const useScreenSender = () => {
             setStats(processedStats)
           }
         } catch (err) {
-          console.error('Failed to collect stats:', err)
+          log.warn('Failed to collect stats', err)
         }
       }
     }, 1000) // Update every second
@@ -228,6 +559,7 @@ export const useScreenSender = () => {
           frameWidth: report.frameWidth,
           frameHeight: report.frameHeight,
           framesPerSecond: report.framesPerSecond,
+          codec: negotiatedCodec(statsReport)?.mimeType || null,
           bitrate: (report.bytesSent * 8) / (report.timestamp / 1000) // rough calculation
         }
       } else if (report.type === 'outbound-rtp' && report.mediaType === 'audio') {
@@ -250,7 +582,7 @@ export const useScreenSender = () => {
   useEffect(() => {
     if (window.api?.onStartSharing) {
       const handleStartSharing = (event, data) => {
-        console.log('🚀 Start sharing requested from tray menu:', data)
+        log.info('Start sharing requested from the tray menu', { room: data.room })
         startSharing({
           room: data.room,
           serverUrl: data.serverUrl
@@ -271,7 +603,7 @@ export const useScreenSender = () => {
   useEffect(() => {
     if (window.api?.onStopSharing) {
       const handleStopSharing = () => {
-        console.log('🔴 Stop sharing requested from main process')
+        log.info('Stop sharing requested from the main process')
         stopSharing()
       }
 
@@ -285,11 +617,60 @@ export const useScreenSender = () => {
     }
   }, [stopSharing])
 
+  // Listen for content mode changes from the tray menu
+  useEffect(() => {
+    if (window.api?.onSetContentMode) {
+      const handleSetContentMode = (event, mode) => {
+        log.info('Content mode requested from tray menu', { mode })
+        setContentMode(mode)
+      }
+
+      window.api.onSetContentMode(handleSetContentMode)
+
+      return () => {
+        if (window.api?.removeAllListeners) {
+          window.api.removeAllListeners('set-content-mode')
+        }
+      }
+    }
+  }, [setContentMode])
+
+  // Listen for pause, blank and resume from the tray menu and global shortcuts
+  useEffect(() => {
+    if (window.api?.onSetPrivacy) {
+      const handleSetPrivacy = (event, action) => {
+        log.info('Privacy requested from main process', { action })
+        changePrivacy(action)
+      }
+
+      window.api.onSetPrivacy(handleSetPrivacy)
+
+      return () => {
+        if (window.api?.removeAllListeners) {
+          window.api.removeAllListeners('set-privacy')
+        }
+      }
+    }
+  }, [changePrivacy])
+
+  // Hand main the saved shortcuts, and hear whether they registered once sharing starts
+  useEffect(() => {
+    if (!window.api?.setPrivacyShortcuts) return
+    window.api.setPrivacyShortcuts(loadPrivacyShortcuts()).then(setPrivacyShortcutsStatus)
+    window.api.onPrivacyShortcuts((event, status) => setPrivacyShortcutsStatus(status))
+
+    return () => {
+      if (window.api?.removeAllListeners) {
+        window.api.removeAllListeners('privacy-shortcuts')
+      }
+    }
+  }, [])
+
   // Listen for auto-connect events (legacy support)
   useEffect(() => {
     if (window.api?.onAutoConnect) {
       const handleAutoConnect = (event, data) => {
-        console.log('🔄 Auto-connect requested from tray menu:', data)
+        log.info('Auto-connect requested from the tray menu', { room: data.room })
         startSharing({
           room: data.room,
           serverUrl: data.serverUrl
@@ -314,7 +695,7 @@ export const useScreenSender = () => {
 
   // Retry connection (useful when receiver becomes available)
   const retryConnection = useCallback(async () => {
-    console.log('🔄 Retrying connection...')
+    log.info('Retrying connection')
     setError(null)
     await startSharing()
   }, [startSharing])
@@ -322,7 +703,7 @@ export const useScreenSender = () => {
   // Open receiver URL in browser
   const openReceiverURL = useCallback(() => {
     const streamURL = getStreamURL()
-    console.log('🔗 Opening receiver URL:', streamURL)
+    log.info('Opening receiver URL', { url: streamURL })
     if (window.api?.shell?.openExternal) {
       window.api.shell.openExternal(streamURL)
     } else if (window.open) {
@@ -334,7 +715,6 @@ export const useScreenSender = () => {
   useEffect(() => {
     if (window.api?.updateRoom) {
       window.api.updateRoom(room)
-      console.log('🏠 Updated main process with room:', room)
     }
   }, [room])
 
@@ -345,12 +725,12 @@ export const useScreenSender = () => {
       if (window.api?.getLocalIP) {
         try {
           const ip = await window.api.getLocalIP()
-          console.log('🌐 Got local IP:', ip)
+          log.debug('Local IP', { ip })
           setLocalIP(ip)
           // Update default server URL to use local IP
           setServerUrl(`ws://${ip}:8080`)
         } catch (error) {
-          console.error('❌ Failed to get local IP:', error)
+          log.warn('Failed to get local IP', error)
         }
       }
 
@@ -358,7 +738,7 @@ export const useScreenSender = () => {
       if (window.api?.getCurrentRoom) {
         try {
           const currentMainRoom = await window.api.getCurrentRoom()
-          console.log('🏠 Syncing with main process room:', currentMainRoom)
+          log.debug('Main process room', { room: currentMainRoom })
           if (currentMainRoom && currentMainRoom !== room) {
             setRoom(currentMainRoom)
           } else {
@@ -366,11 +746,31 @@ export const useScreenSender = () => {
             window.api.updateRoom(room)
           }
         } catch (error) {
-          console.error('❌ Failed to sync room with main process:', error)
+          log.warn('Failed to sync room with main process', error)
+        }
+      }
+
+      // Start from the source last picked with this set of displays
+      if (window.api?.getDisplayLayout) {
+        try {
+          const layout = await window.api.getDisplayLayout()
+          setDisplayLayout(layout)
+          setSource(loadSourceChoices()[layout] || null)
+        } catch (error) {
+          log.error('Failed to get display layout', error)
+        }
+      }
+
+      // Pick up a content mode chosen from the tray before this window opened
+      if (window.api?.getContentMode) {
+        try {
+          setContentModeState(await window.api.getContentMode())
+        } catch (error) {
+          log.error('Failed to sync content mode with main process', error)
         }
       }
     }
-    
+
     initializeData()
   }, [])
 
@@ -389,7 +789,24 @@ export const useScreenSender = () => {
     error,
     stats,
     room,
+    roomPin,
     serverUrl,
+    fallbackServerUrls,
+    qualityPreset,
+    qualityDecision,
+    contentMode,
+    activeContentMode,
+    codecPreference,
+    codecPins,
+    simulcastLayers,
+    receivers,
+    audio,
+    sources,
+    source,
+    region,
+    regionPresets,
+    privacy,
+    privacyShortcuts,
     localIP,
 
     // Actions
@@ -397,8 +814,26 @@ export const useScreenSender = () => {
     stopSharing,
     cancelConnection,
     updateQuality,
+    setContentMode,
+    setCodecPreference,
+    pinCodec,
+    setSimulcastLayers,
+    setAudioSource,
+    setAudioVolume,
+    setAudioMuted,
+    refreshSources,
+    selectSource,
+    setRegion,
+    selectRegion,
+    saveRegionPreset,
+    deleteRegionPreset,
+    pauseSharing,
+    blankScreen,
+    resumeSharing,
+    setPrivacyShortcuts,
     setRoom,
     setServerUrl,
+    setFallbackServerUrls,
     retryConnection,
     openReceiverURL,
 
@@ -0,0 +1,161 @@
+/**
+ * Audio sent alongside the screen - system audio, the microphone, or both mixed
+ *
+ * Every source feeds one Web Audio graph, and its output track is the one the
+ * viewers get. Switching source, volume or mute only changes what flows into
+ * that track, so the viewers' connections are never renegotiated for it. System
+ * audio is loopback capture from getDisplayMedia(), which the main process
+ * answers for the screen (see setDisplayMediaRequestHandler in main/index.js).
+ */
+
+export const AUDIO_SOURCES = {
+  off: 'Off',
+  system: 'System audio',
+  microphone: 'Microphone',
+  mix: 'System + microphone'
+}
+
+export const AUDIO_SOURCE_NAMES = Object.keys(AUDIO_SOURCES)
+
+const FADE_TIME = 0.015 // s - volume changes ramp instead of clicking
+
+// The capture inputs a source needs
+const inputsFor = (source) => {
+  if (source === 'mix') return ['system', 'microphone']
+  if (source === 'off') return []
+  return [source]
+}
+
+export default class AudioMixer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.volume] - 0-1, applied to the mix
+   * @param {boolean} [options.muted]
+   * @param {Function} [options.onInputEnded] - (input) when a capture stops by itself
+   * @param {object} [options.log]
+   */
+  constructor(options = {}) {
+    this.volume = options.volume ?? 1
+    this.muted = Boolean(options.muted)
+    this.onInputEnded = options.onInputEnded || (() => {})
+    this.log = options.log
+
+    this.source = 'off'
+    this.context = null
+    this.gain = null // Master volume
+    this.destination = null
+    this.inputs = new Map() // 'system' | 'microphone' -> { stream, node }
+  }
+
+  // The mixed track - created with the first source, then kept for the session
+  get track() {
+    return this.destination?.stream.getAudioTracks()[0] || null
+  }
+
+  /**
+   * Capture what `source` needs and drop the rest. Inputs that can't be
+   * captured are left out; the error of the first one is thrown after the
+   * others are in place.
+   */
+  async setSource(source) {
+    if (!AUDIO_SOURCES[source]) throw new Error(`Unknown audio source: ${source}`)
+    const wanted = inputsFor(source)
+    if (wanted.length) await this.createGraph()
+
+    for (const name of Array.from(this.inputs.keys())) {
+      if (!wanted.includes(name)) this.closeInput(name)
+    }
+
+    let failure = null
+    for (const name of wanted) {
+      if (this.inputs.has(name)) continue
+      try {
+        await this.openInput(name)
+      } catch (error) {
+        this.log?.warn('Could not capture audio', { input: name, error })
+        failure = failure || error
+      }
+    }
+
+    this.source = source
+    this.updateOutput()
+    if (failure) throw failure
+  }
+
+  setVolume(volume) {
+    this.volume = Math.min(Math.max(volume, 0), 1)
+    this.updateOutput()
+  }
+
+  setMuted(muted) {
+    this.muted = Boolean(muted)
+    this.updateOutput()
+  }
+
+  // The input names currently captured, e.g. ['system']
+  activeInputs() {
+    return Array.from(this.inputs.keys())
+  }
+
+  async createGraph() {
+    if (this.context) return
+    this.context = new AudioContext({ latencyHint: 'interactive' })
+    this.gain = this.context.createGain()
+    this.destination = this.context.createMediaStreamDestination()
+    this.gain.connect(this.destination)
+    await this.context.resume()
+  }
+
+  async openInput(name) {
+    let stream
+    if (name === 'system') {
+      // Chromium only hands out loopback audio with a screen; ours comes from captureScreen()
+      stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true })
+      stream.getVideoTracks().forEach((track) => track.stop())
+      if (!stream.getAudioTracks().length) {
+        throw new Error('System audio capture is not supported on this system')
+      }
+    } else {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+        video: false
+      })
+    }
+
+    const node = this.context.createMediaStreamSource(stream)
+    node.connect(this.gain)
+    this.inputs.set(name, { stream, node })
+    stream.getAudioTracks()[0].addEventListener('ended', () => {
+      if (this.inputs.get(name)?.stream !== stream) return
+      this.log?.info('Audio input ended', { input: name })
+      this.closeInput(name)
+      this.updateOutput()
+      this.onInputEnded(name)
+    })
+  }
+
+  closeInput(name) {
+    const input = this.inputs.get(name)
+    if (!input) return
+    this.inputs.delete(name)
+    input.node.disconnect()
+    input.stream.getTracks().forEach((track) => track.stop())
+  }
+
+  // Volume into the mix; the track is disabled (sending silence) while muted or empty
+  updateOutput() {
+    if (!this.context) return
+    const silent = this.muted || !this.inputs.size
+    this.gain.gain.setTargetAtTime(silent ? 0 : this.volume, this.context.currentTime, FADE_TIME)
+    if (this.track) this.track.enabled = !silent
+  }
+
+  stop() {
+    for (const name of Array.from(this.inputs.keys())) this.closeInput(name)
+    this.track?.stop()
+    this.context?.close()
+    this.context = null
+    this.gain = null
+    this.destination = null
+  }
+}
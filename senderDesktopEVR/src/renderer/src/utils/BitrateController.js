@@ -0,0 +1,219 @@
+/**
+ * Adaptive bitrate for one viewer connection, driven by getStats()
+ *
+ * Samples the connection every second and moves the video encoding between
+ * `minBitrate` and `maxBitrate` from the round-trip time, packet loss, the
+ * estimated `availableOutgoingBitrate` and the encoder's `qualityLimitationReason`.
+ * Frame rate and resolution follow the bitrate, and drop further while the
+ * encoder is CPU-limited. Hysteresis keeps it from flapping: stepping down
+ * takes a couple of bad samples, stepping up several good ones, and every
+ * change is held for a few seconds before the next. The content mode (see
+ * contentModes.js) sets the ceilings through setLimits().
+ */
+
+const SAMPLE_INTERVAL = 1000 // ms
+const HOLD_TIME = 3000 // ms after a change before the next one
+const DOWN_AFTER = 2 // Consecutive congested samples before stepping down
+const UP_AFTER = 5 // Consecutive clear samples before stepping up
+const CPU_AFTER = 3 // Consecutive CPU-limited samples before lowering fps/resolution
+const CPU_RECOVER_AFTER = 10 // Consecutive unlimited samples before undoing that
+
+// Congested above these, clear below the lower ones
+const LOSS_CONGESTED = 0.05
+const LOSS_CLEAR = 0.02
+const RTT_CONGESTED = 0.35 // s
+const RTT_CLEAR = 0.2 // s
+
+const STEP_DOWN = 0.7
+const STEP_UP = 1.15
+
+export const DEFAULT_LIMITS = {
+  minBitrate: 300000, // 300 Kbps
+  maxBitrate: 15000000, // 15 Mbps - local network
+  startBitrate: 4000000, // Ramps up from here on a clean network
+  maxFramerate: 60,
+  maintainResolution: false // Give up frame rate rather than resolution, e.g. for text
+}
+
+export default class BitrateController {
+  /**
+   * @param {RTCPeerConnection} pc
+   * @param {object} options
+   * @param {Function} options.apply - (params) => Promise, applies encoding parameters
+   * @param {Function} [options.onDecision] - called with every change, see decide()
+   * @param {object} [options.limits] - overrides DEFAULT_LIMITS
+   * @param {object} [options.log]
+   */
+  constructor(pc, options) {
+    this.pc = pc
+    this.apply = options.apply
+    this.onDecision = options.onDecision || (() => {})
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits }
+    this.log = options.log
+
+    this.bitrate = this.limits.startBitrate
+    this.cpuPenalty = 0 // 0-2: each step lowers frame rate, then resolution
+    this.congestedSamples = 0
+    this.clearSamples = 0
+    this.cpuLimitedSamples = 0
+    this.cpuFreeSamples = 0
+    this.holdUntil = 0
+    this.previous = null // Last outbound-rtp video report, for the send rate
+    this.timer = null
+    this.params = null // Last applied encoding parameters
+  }
+
+  async start() {
+    if (this.timer) return
+    await this.update('start')
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  async sample() {
+    let report
+    try {
+      report = await this.pc.getStats()
+    } catch {
+      return // Connection closing
+    }
+    const stats = this.readStats(report)
+    if (stats) this.decide(stats)
+  }
+
+  // The figures the decision needs, from one getStats() report
+  readStats(report) {
+    let outbound = null
+    let remoteInbound = null
+    let candidatePair = null
+    report.forEach((entry) => {
+      if (entry.type === 'outbound-rtp' && entry.kind === 'video') outbound = entry
+      if (entry.type === 'remote-inbound-rtp' && entry.kind === 'video') remoteInbound = entry
+      if (entry.type === 'candidate-pair' && entry.nominated && entry.state === 'succeeded') {
+        candidatePair = entry
+      }
+    })
+    if (!outbound) return null
+
+    const previous = this.previous
+    this.previous = outbound
+    const elapsed = previous ? (outbound.timestamp - previous.timestamp) / 1000 : 0
+
+    return {
+      sentBitrate: elapsed > 0 ? ((outbound.bytesSent - previous.bytesSent) * 8) / elapsed : null,
+      roundTripTime: remoteInbound?.roundTripTime ?? candidatePair?.currentRoundTripTime ?? null,
+      packetLoss: remoteInbound?.fractionLost ?? 0,
+      availableOutgoingBitrate: candidatePair?.availableOutgoingBitrate ?? null,
+      qualityLimitationReason: outbound.qualityLimitationReason || 'none'
+    }
+  }
+
+  decide(stats) {
+    const { roundTripTime, packetLoss, availableOutgoingBitrate, qualityLimitationReason } = stats
+    const rtt = roundTripTime ?? 0
+    const bandwidthShort =
+      availableOutgoingBitrate !== null && availableOutgoingBitrate < this.bitrate * 0.8
+    const congested =
+      packetLoss >= LOSS_CONGESTED ||
+      rtt >= RTT_CONGESTED ||
+      (bandwidthShort && qualityLimitationReason === 'bandwidth')
+    const clear =
+      packetLoss < LOSS_CLEAR &&
+      rtt < RTT_CLEAR &&
+      qualityLimitationReason !== 'bandwidth' &&
+      (availableOutgoingBitrate === null || availableOutgoingBitrate > this.bitrate * 1.2)
+
+    this.congestedSamples = congested ? this.congestedSamples + 1 : 0
+    this.clearSamples = clear ? this.clearSamples + 1 : 0
+    if (qualityLimitationReason === 'cpu') {
+      this.cpuLimitedSamples++
+      this.cpuFreeSamples = 0
+    } else {
+      this.cpuFreeSamples++
+      this.cpuLimitedSamples = 0
+    }
+
+    if (Date.now() < this.holdUntil) return
+
+    if (this.congestedSamples >= DOWN_AFTER && this.bitrate > this.limits.minBitrate) {
+      // Never above what the network says it can carry
+      const target =
+        availableOutgoingBitrate !== null
+          ? Math.min(this.bitrate * STEP_DOWN, availableOutgoingBitrate * 0.9)
+          : this.bitrate * STEP_DOWN
+      this.bitrate = Math.max(this.limits.minBitrate, Math.round(target))
+      let reason = 'bandwidth'
+      if (packetLoss >= LOSS_CONGESTED) reason = 'packet-loss'
+      else if (rtt >= RTT_CONGESTED) reason = 'rtt'
+      this.update(reason, stats)
+    } else if (this.clearSamples >= UP_AFTER && this.bitrate < this.limits.maxBitrate) {
+      this.bitrate = Math.min(this.limits.maxBitrate, Math.round(this.bitrate * STEP_UP))
+      this.update('headroom', stats)
+    } else if (this.cpuLimitedSamples >= CPU_AFTER && this.cpuPenalty < 2) {
+      this.cpuPenalty++
+      this.update('cpu', stats)
+    } else if (this.cpuFreeSamples >= CPU_RECOVER_AFTER && this.cpuPenalty > 0) {
+      this.cpuPenalty--
+      this.update('cpu-recovered', stats)
+    }
+  }
+
+  // Frame rate and resolution for the current bitrate and CPU penalty
+  encodingFor(bitrate) {
+    let maxFramerate = this.limits.maxFramerate
+    if (bitrate < 1000000) maxFramerate = Math.min(maxFramerate, 24)
+    else if (bitrate < 2500000) maxFramerate = Math.min(maxFramerate, 30)
+    if (this.cpuPenalty > 0) maxFramerate = Math.min(maxFramerate, 30)
+
+    if (this.limits.maintainResolution) {
+      if (bitrate < 600000 || this.cpuPenalty > 1) maxFramerate = Math.min(maxFramerate, 5)
+      else if (bitrate < 1200000) maxFramerate = Math.min(maxFramerate, 10)
+      return { maxBitrate: bitrate, maxFramerate, scaleResolutionDownBy: 1 }
+    }
+
+    let scaleResolutionDownBy = 1
+    if (bitrate < 600000) scaleResolutionDownBy = 2
+    else if (bitrate < 1200000) scaleResolutionDownBy = 1.5
+    if (this.cpuPenalty > 1) scaleResolutionDownBy = Math.max(scaleResolutionDownBy, 1.5)
+
+    return { maxBitrate: bitrate, maxFramerate, scaleResolutionDownBy }
+  }
+
+  // Change the ceilings, e.g. for a new content mode, and apply them straight away
+  async setLimits(limits) {
+    this.limits = { ...this.limits, ...limits }
+    this.bitrate = Math.min(Math.max(this.bitrate, this.limits.minBitrate), this.limits.maxBitrate)
+    await this.update('limits')
+  }
+
+  async update(reason, stats = null) {
+    const params = this.encodingFor(this.bitrate)
+    this.holdUntil = Date.now() + HOLD_TIME
+    this.congestedSamples = 0
+    this.clearSamples = 0
+    this.cpuLimitedSamples = 0
+    this.cpuFreeSamples = 0
+
+    const previous = this.params
+    if (
+      previous &&
+      previous.maxBitrate === params.maxBitrate &&
+      previous.maxFramerate === params.maxFramerate &&
+      previous.scaleResolutionDownBy === params.scaleResolutionDownBy
+    ) {
+      return
+    }
+    this.params = params
+    try {
+      await this.apply(params)
+    } catch (error) {
+      this.log?.warn('Could not apply adaptive encoding parameters', error)
+      return
+    }
+    this.onDecision({ reason, ...params, previous, stats })
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Stand-in video for pausing or blanking the shared screen
+ *
+ * A canvas track the viewers are sent instead of the capture - the last frame
+ * frozen, black, or a branded slate. It is swapped in and out with replaceTrack(),
+ * so hiding the screen for a moment (a password prompt, a notification) needs no
+ * renegotiation. The canvas is redrawn a few times a second: a canvas track only
+ * produces frames when drawn on, and viewers joining meanwhile need one.
+ */
+
+export const BLANK_STYLES = ['slate', 'black']
+
+const WIDTH = 1920
+const HEIGHT = 1080
+const FRAME_RATE = 5
+const FREEZE_TIMEOUT = 1000 // ms to wait for the capture's next frame
+
+export default class PrivacySlate {
+  constructor() {
+    this.canvas = document.createElement('canvas')
+    this.canvas.width = WIDTH
+    this.canvas.height = HEIGHT
+    this.context = this.canvas.getContext('2d')
+    this.stream = this.canvas.captureStream(FRAME_RATE)
+    this.frame = null // ImageBitmap while frozen
+    this.style = 'slate'
+    this.message = ''
+
+    this.draw()
+    this.timer = setInterval(() => this.draw(), 1000 / FRAME_RATE)
+  }
+
+  // The track to send
+  get track() {
+    return this.stream.getVideoTracks()[0]
+  }
+
+  // Hold the capture's current picture. False when it didn't deliver a frame in time.
+  async freeze(track) {
+    let frame = null
+    try {
+      frame = await Promise.race([
+        new ImageCapture(track).grabFrame(),
+        new Promise((resolve) => setTimeout(resolve, FREEZE_TIMEOUT, null))
+      ])
+    } catch {
+      // Ended or not a video track - fall back to the slate
+    }
+    if (!frame) return false
+    this.frame?.close()
+    this.frame = frame
+    this.draw()
+    return true
+  }
+
+  // 'slate' or 'black'
+  blank(style, message = '') {
+    this.frame?.close()
+    this.frame = null
+    this.style = style
+    this.message = message
+    this.draw()
+  }
+
+  draw() {
+    const ctx = this.context
+    ctx.fillStyle = '#000'
+    ctx.fillRect(0, 0, WIDTH, HEIGHT)
+
+    if (this.frame) {
+      // Letterboxed - a window or region rarely has the canvas's aspect ratio
+      const scale = Math.min(WIDTH / this.frame.width, HEIGHT / this.frame.height)
+      const width = this.frame.width * scale
+      const height = this.frame.height * scale
+      ctx.drawImage(this.frame, (WIDTH - width) / 2, (HEIGHT - height) / 2, width, height)
+      return
+    }
+    if (this.style === 'black') return
+
+    const gradient = ctx.createLinearGradient(0, 0, WIDTH, HEIGHT)
+    gradient.addColorStop(0, '#1e3a8a')
+    gradient.addColorStop(1, '#581c87')
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, WIDTH, HEIGHT)
+    ctx.fillStyle = '#fff'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.font = 'bold 96px system-ui, sans-serif'
+    ctx.fillText('📺 Screen Mirror', WIDTH / 2, HEIGHT / 2 - 40)
+    if (this.message) {
+      ctx.font = '48px system-ui, sans-serif'
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+      ctx.fillText(this.message, WIDTH / 2, HEIGHT / 2 + 80)
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.track.stop()
+    this.frame?.close()
+    this.frame = null
+  }
+}
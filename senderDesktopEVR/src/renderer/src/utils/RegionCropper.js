@@ -0,0 +1,62 @@
+/**
+ * Crops a captured display to a region before it reaches the encoder
+ *
+ * Frames from the capture are re-wrapped with a smaller visibleRect - no pixels
+ * are copied - and fed to a generated track that the viewers are sent instead.
+ * The region can change at any time; the next frame picks it up.
+ */
+
+import { cropRect } from './regions'
+
+export default class RegionCropper {
+  /**
+   * @param {MediaStreamTrack} track - the capture, owned by the cropper from now on
+   * @param {object} region - see regions.js
+   * @param {object} [options]
+   * @param {object} [options.log]
+   */
+  constructor(track, region, options = {}) {
+    this.source = track
+    this.region = region
+    this.log = options.log
+
+    this.generator = new MediaStreamTrackGenerator({ kind: 'video' })
+    this.abort = new AbortController()
+    const processor = new MediaStreamTrackProcessor({ track })
+    processor.readable
+      .pipeThrough(
+        new TransformStream({ transform: (frame, controller) => this.crop(frame, controller) })
+      )
+      .pipeTo(this.generator.writable, { signal: this.abort.signal })
+      .catch((error) => {
+        if (!this.abort.signal.aborted) this.log?.warn('Region crop stopped', error)
+      })
+  }
+
+  // The cropped track to send
+  get track() {
+    return this.generator
+  }
+
+  setRegion(region) {
+    this.region = region
+  }
+
+  crop(frame, controller) {
+    const { x, y, width, height } = frame.visibleRect
+    const rect = cropRect(this.region, width, height)
+    try {
+      controller.enqueue(
+        new VideoFrame(frame, { visibleRect: { ...rect, x: x + rect.x, y: y + rect.y } })
+      )
+    } finally {
+      frame.close()
+    }
+  }
+
+  stop() {
+    this.abort.abort()
+    this.generator.stop()
+    this.source.stop()
+  }
+}
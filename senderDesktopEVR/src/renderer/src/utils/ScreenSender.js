@@ -3,14 +3,47 @@
  * Handles screen capture, peer connection management, and signaling
  */
 
+import { applyCodecPreferences, codecName, DEFAULT_CODEC_PREFERENCE } from '@shared/codecs.js'
+import { toHttpUrl } from '@shared/endpoints.js'
+import { createLogger } from '@shared/logger.js'
+import { createWebRTCSignaling } from '@shared/signaling.js'
+import AudioMixer, { AUDIO_SOURCES } from './AudioMixer'
+import BitrateController from './BitrateController'
+import { CONTENT_MODES, ContentModeDetector } from './contentModes'
+import PrivacySlate, { BLANK_STYLES } from './PrivacySlate'
+import RegionCropper from './RegionCropper'
+import { clampRegion } from './regions'
+
+// ICE recovery - restart on the existing connection before rebuilding it
+const ICE_DISCONNECTED_GRACE = 3000 // ms a 'disconnected' connection gets to recover by itself
+const ICE_RESTART_TIMEOUT = 10000 // ms for a restart to reconnect before the next one
+const MAX_ICE_RESTARTS = 3 // Then the viewer's connection is torn down and offered afresh
+
+// Layers, highest first. Each viewer is sent the one it asked for (see PROTOCOL.md#simulcast)
+export const SIMULCAST_LAYERS = [
+  { layer: 'high', rid: 'h', scaleResolutionDownBy: 1 },
+  { layer: 'medium', rid: 'm', scaleResolutionDownBy: 2, maxBitrate: 1500000 },
+  { layer: 'low', rid: 'l', scaleResolutionDownBy: 4, maxBitrate: 500000, maxFramerate: 15 }
+]
+
+const AUDIO_BITRATE = 128000 // Opus - enough for music and film soundtracks
+
 class ScreenSender {
   constructor(options = {}) {
     // Auto-detect local network IP for signaling server
     const LOCAL_IP = '192.168.0.26' // Your Mac's IP address
-    this.signalingUrl = options.signalingUrl || `ws://${LOCAL_IP}:8080`
+    // Signaling servers in order of preference, e.g. LAN first, then cloud (see endpoints.js)
+    this.signalingUrls = [].concat(
+      options.signalingUrls || options.signalingUrl || `ws://${LOCAL_IP}:8080`
+    )
+    this.signalingUrl = this.signalingUrls[0] // The one we're connected to
     this.room = options.room || 'living-room' // Default room
+    this.pin = options.pin || null // Room PIN - generated by the server when not set
+    this.senderToken = null // Proves we're the room's sender when rejoining, see PROTOCOL.md#room-pins
 
-    console.log('🏠 ScreenSender created with room:', this.room, 'signaling:', this.signalingUrl)
+    // Entries carry the room, our peerId and the server's sessionId once joined
+    this.log = createLogger('sender', { context: { room: this.room } })
+    this.log.info('ScreenSender created', { signalingUrls: this.signalingUrls })
     this.iceServers = options.iceServers || [
       // Enhanced STUN servers for better Android TV connectivity
       { urls: 'stun:stun.l.google.com:19302' },
@@ -18,13 +51,57 @@ class ScreenSender {
       { urls: 'stun:stun2.l.google.com:19302' },
       { urls: 'stun:stun3.l.google.com:19302' },
       { urls: 'stun:stun4.l.google.com:19302' }
-      // Add TURN servers for production (replace with your own)
-      // { urls: 'turn:your-turn-server.com:3478', username: 'user', credential: 'pass' },
-      // { urls: 'turns:your-turn-server.com:5349', username: 'user', credential: 'pass' }
+      // TURN servers come from the signaling server (see loadIceServers)
     ]
+    this.iceServersExpireAt = null // TURN credential expiry (unix seconds)
+
+    // 'auto' adapts each viewer's encoding to its network (see BitrateController.js);
+    // any other preset applies encodingParameters as they are
+    this.qualityPreset = options.qualityPreset || 'auto'
+    this.encodingParameters = {
+      maxBitrate: 15000000, // 15 Mbps - High quality for local network
+      maxFramerate: 60,
+      scaleResolutionDownBy: 1,
+      ...options.encodingParameters
+    }
+    // What's on screen (see contentModes.js) - 'auto' follows the measured frame change rate.
+    // The active mode's contentHint, degradationPreference and caps apply on top of the preset.
+    this.contentMode = options.contentMode || 'auto'
+    this.activeContentMode = this.contentMode === 'auto' ? 'presentation' : this.contentMode
+    this.contentModeDetector = null
+
+    // Video codecs, most wanted first (see shared/codecs.js). A codec pinned for a receiver's
+    // device name wins over the list - some TV hardware decoders only handle H.264 well.
+    this.codecPreference = options.codecPreference || DEFAULT_CODEC_PREFERENCE
+    this.codecPins = { ...options.codecPins } // device -> codec name
+    // Layers published per viewer connection, 1-3 (see setSimulcastLayers)
+    this.simulcastLayers = SIMULCAST_LAYERS.slice(0, options.simulcastLayers || 1)
+    // Audio sent with the screen (see AudioMixer.js) - opt-in: 'off', 'system', 'microphone', 'mix'
+    this.audioSource = options.audioSource || 'off'
+    this.audioVolume = options.audioVolume ?? 1
+    this.audioMuted = Boolean(options.audioMuted)
+    this.audioMixer = null
+    this.audioError = null // Why the last audio source couldn't be captured
+    // Display or window to share, { id, name, type, displayId } from the source picker - null shares
+    // the primary display
+    this.source = options.source || null
+    // Part of a display to share, see regions.js - null shares all of it
+    this.region = clampRegion(options.region)
+    this.cropper = null // RegionCropper while a region is shared
+    // 'live', or hidden from the viewers without disconnecting them: 'paused' on the last
+    // frame or 'blanked' - they are sent the PrivacySlate's track meanwhile
+    this.privacyState = 'live'
+    this.slate = null
 
     // State
-    this.pc = null
+    this.peers = new Map() // viewer peerId -> RTCPeerConnection
+    // viewer peerId -> { makingOffer, ignoreOffer, iceRestarts, graceTimer, restartTimer, ... }
+    this.negotiations = new Map()
+    this.bitrateControllers = new Map() // viewer peerId -> BitrateController, in 'auto'
+    // viewer peerId -> { device, codecs, codec, layer }, see handleCapabilities and setViewerLayer
+    this.receivers = new Map()
+    this.peerId = null // Our own id, assigned by the signaling server on join
+    this.rejoining = false // Between a reconnect and the server's answer to our re-sent join
     this.localStream = null
     this.signalingClient = null
     this.isConnected = false
@@ -35,359 +112,107 @@ class ScreenSender {
     this.onStreamStarted = options.onStreamStarted || (() => {})
     this.onStreamEnded = options.onStreamEnded || (() => {})
     this.onError = options.onError || (() => {})
+    this.onRoomPin = options.onRoomPin || (() => {})
+    this.onQualityDecision = options.onQualityDecision || (() => {})
+    this.onContentModeChange = options.onContentModeChange || (() => {})
+    this.onReceiversChange = options.onReceiversChange || (() => {})
+    this.onAudioChange = options.onAudioChange || (() => {})
+    this.onSourceChange = options.onSourceChange || (() => {})
+    this.onRegionChange = options.onRegionChange || (() => {})
+    this.onPrivacyChange = options.onPrivacyChange || (() => {})
 
     // Bind methods
     this.handleSignal = this.handleSignal.bind(this)
+    this.handleRoomEvent = this.handleRoomEvent.bind(this)
     this.handleStatusChange = this.handleStatusChange.bind(this)
   }
 
-  // Check if signaling server is available (don't require receiver to be pre-connected)
+  // Ask the server whether a receiver is already waiting in our room (see PROTOCOL.md#queries)
   async checkReceiverAvailability() {
-    return new Promise((resolve, reject) => {
-      console.log('🔍 Checking signaling server availability at:', this.signalingUrl)
-      this.updateStatus('checking-receiver')
-
-      const ws = new WebSocket(this.signalingUrl)
-      let resolved = false
-
-      // Set timeout for availability check
-      const timeout = setTimeout(() => {
-        if (!resolved) {
-          resolved = true
-          console.log('⏰ Signaling server check timed out')
-          ws.close()
-          reject(
-            new Error('Cannot connect to signaling server. Make sure the receiver app is running.')
-          )
-        }
-      }, 3000) // Reduced timeout - just checking if server is up
-
-      ws.onopen = () => {
-        if (!resolved) {
-          resolved = true
-          clearTimeout(timeout)
-          console.log('✅ Signaling server is available!')
-          // Don't close immediately - let the connection be reused
-          setTimeout(() => ws.close(), 100) // Small delay then close
-          resolve(true)
-        }
-      }
-
-      ws.onclose = (event) => {
-        // Only reject if we haven't already resolved (connection never opened)
-        if (!resolved && event.code !== 1000) {
-          resolved = true
-          clearTimeout(timeout)
-          console.log('❌ Signaling server not available - connection closed:', event.code)
-          reject(
-            new Error('Cannot connect to signaling server. Make sure the receiver app is running.')
-          )
-        }
-      }
-
-      ws.onerror = (error) => {
-        if (!resolved) {
-          resolved = true
-          clearTimeout(timeout)
-          console.log('❌ Signaling server not available - connection error:', error)
-          reject(
-            new Error('Cannot connect to signaling server. Make sure the receiver app is running.')
-          )
-        }
-      }
-    })
+    try {
+      const status = await this.signalingClient.query('room-status', { room: this.room })
+      this.log.info('Room status', { occupied: status.occupied, viewers: status.viewers })
+      if (!status.viewers) this.updateStatus('waiting-for-receiver')
+      return status.viewers > 0
+    } catch (error) {
+      // Older servers don't answer queries - the join reply lists viewers anyway
+      this.log.warn('Room status query failed', error)
+      return false
+    }
   }
 
   async start() {
     try {
-      console.log('🚀 SENDER START - Initializing with config:', {
-        signalingUrl: this.signalingUrl,
-        room: this.room,
-        timestamp: new Date().toISOString()
-      })
+      // A new connection gets a new peerId and session from the server
+      this.log.setContext({ peerId: undefined, sessionId: undefined })
+      this.rejoining = false
+      this.log.info('Starting', { signalingUrls: this.signalingUrls })
 
       this.updateStatus('starting')
 
-      // First check if receiver is available
-      try {
-        await this.checkReceiverAvailability()
-      } catch (error) {
-        console.log('❌ Receiver availability check failed:', error.message)
-        this.updateStatus('no-receiver')
-        this.onError(error)
-        return
-      }
-
-      // Create signaling client
-      console.log('📡 SENDER - Creating signaling client')
-      this.signalingClient = this.createWebRTCSignaling(this.signalingUrl, {
+      // Shared client (rtc-signal/shared/signaling.js) - same reconnection policy as the receivers
+      this.signalingClient = createWebRTCSignaling(this.signalingUrls, {
         role: 'Sender',
         room: this.room,
+        logger: this.log,
         onSignal: this.handleSignal,
-        onStatusChange: this.handleStatusChange,
-        isStopping: () => this.isStopping
+        onRoomEvent: this.handleRoomEvent,
+        onStatusChange: this.handleStatusChange
       })
 
-      // Connect to signaling server
-      console.log('🔗 SENDER - Attempting signaling server connection to:', this.signalingUrl)
+      // Connect to signaling server - failed attempts report 'no-receiver' until one succeeds
+      this.updateStatus('checking-receiver')
       this.signalingClient.connect()
-
-      console.log('✅ SENDER - Start method completed, waiting for connection...')
     } catch (error) {
-      console.error('❌ SENDER START FAILED:', error)
+      this.log.error('Start failed', error)
       this.onError(error)
       this.updateStatus('error')
     }
   }
 
-  // Simplified signaling client for WebRTC
-  createWebRTCSignaling(url, options) {
-    let ws = null
-    let reconnectAttempts = 0
-    let maxReconnectAttempts = 5 // Reduced from 10 for faster timeout
-    let reconnectDelay = 1000
-    let connectionId = Math.random().toString(36).substr(2, 9)
-    let connectionTimeout = null
-    // let initialConnectionTimeout = null
-
-    console.log('🏭 SIGNALING CLIENT CREATED - ID:', connectionId, 'URL:', url)
-
-    const client = {
-      connect() {
-        try {
-          console.log('🔗 SENDER WS CONNECT START - ID:', connectionId, 'URL:', url)
-          console.log(
-            '🔗 WebSocket.CONNECTING =',
-            WebSocket.CONNECTING,
-            'WebSocket.OPEN =',
-            WebSocket.OPEN
-          )
-
-          // Clear any existing timeout
-          if (connectionTimeout) {
-            clearTimeout(connectionTimeout)
-            connectionTimeout = null
-          }
-
-          // Set connection timeout (15 seconds for initial connection to allow receiver loading time)
-          const timeoutDuration = reconnectAttempts === 0 ? 15000 : 8000
-          connectionTimeout = setTimeout(() => {
-            console.log('⏰ Connection timeout after', timeoutDuration / 1000, 'seconds')
-            if (ws && ws.readyState === WebSocket.CONNECTING) {
-              console.log('❌ TIMEOUT: WebSocket still connecting, closing...')
-              ws.close()
-
-              // If this is the first connection attempt, show no receiver error
-              if (reconnectAttempts === 0) {
-                options.onStatusChange('no-receiver', {
-                  message:
-                    'Waiting for receiver to connect... Please make sure the receiver app is running and has loaded the room.'
-                })
-                return
-              }
-            }
-          }, timeoutDuration)
-
-          ws = new WebSocket(url)
-          console.log(
-            '🔗 WebSocket created - ReadyState:',
-            ws.readyState,
-            '(should be',
-            WebSocket.CONNECTING,
-            ')'
-          )
-
-          ws.onopen = () => {
-            console.log('✅ SENDER WS CONNECTED - ID:', connectionId, 'URL:', url)
-            console.log(
-              '✅ WebSocket state: ReadyState =',
-              ws.readyState,
-              '(should be',
-              WebSocket.OPEN,
-              ')'
-            )
-
-            // Clear connection timeout on successful connection
-            if (connectionTimeout) {
-              clearTimeout(connectionTimeout)
-              connectionTimeout = null
-            }
-
-            reconnectAttempts = 0
-            reconnectDelay = 1000
-            console.log('📡 SENDER - Calling onStatusChange("connected")')
-            options.onStatusChange('connected')
-          }
-
-          ws.onmessage = (event) => {
-            try {
-              const message = JSON.parse(event.data)
-              console.log('Signaling message:', message)
-
-              if (message.type === 'signal' && message.data) {
-                options.onSignal(message.data)
-              }
-            } catch (error) {
-              console.error('Failed to parse signaling message:', error)
-            }
-          }
-
-          ws.onclose = (event) => {
-            console.log(
-              '📴 Sender signaling disconnected - Code:',
-              event.code,
-              'Reason:',
-              event.reason
-            )
-            console.log('Close event details:', {
-              wasClean: event.wasClean,
-              code: event.code,
-              reason: event.reason,
-              url: url
-            })
-
-            // Clear connection timeout on close
-            if (connectionTimeout) {
-              clearTimeout(connectionTimeout)
-              connectionTimeout = null
-            }
-
-            // Don't reconnect if we're in the process of stopping
-            if (options.isStopping && options.isStopping()) {
-              console.log('🛑 Not reconnecting - stop was requested')
-              return
-            }
-
-            // Check if this was a connection refused (signaling server issue)
-            if (event.code === 1006 && reconnectAttempts === 0) {
-              console.log('❌ Signaling server connection failed on first attempt')
-              options.onStatusChange('no-receiver', {
-                message:
-                  'Cannot connect to signaling server. Make sure the receiver app is running.',
-                code: event.code
-              })
-              return
-            }
-
-            if (reconnectAttempts < maxReconnectAttempts) {
-              reconnectAttempts++
-              options.onStatusChange('reconnecting', { attempt: reconnectAttempts })
-
-              setTimeout(() => {
-                // Double-check stopping flag before reconnecting
-                if (!options.isStopping || !options.isStopping()) {
-                  this.connect()
-                }
-              }, reconnectDelay)
-
-              reconnectDelay = Math.min(reconnectDelay * 2, 30000)
-            } else {
-              console.log('❌ Max reconnection attempts reached, giving up')
-              options.onStatusChange('no-receiver', {
-                message:
-                  'Cannot establish connection. Please ensure the receiver app is running and connected to the same network.',
-                attempts: maxReconnectAttempts
-              })
-            }
-          }
-
-          ws.onerror = (error) => {
-            console.error('❌ Sender signaling error:', error)
-            console.error('WebSocket error details:', {
-              url: url,
-              readyState: ws.readyState,
-              error: error
-            })
-            options.onStatusChange('error', error)
-          }
-        } catch (error) {
-          console.error('Failed to create WebSocket:', error)
-          options.onStatusChange('error', error)
-        }
-      },
-
-      send(message) {
-        console.log('📨 SENDER WS SEND - Message:', message)
-        console.log(
-          '📨 WebSocket state: exists =',
-          !!ws,
-          'readyState =',
-          ws?.readyState,
-          'OPEN =',
-          WebSocket.OPEN
-        )
-
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          const payload = JSON.stringify(message)
-          console.log('📨 SENDER - Sending payload:', payload)
-          ws.send(payload)
-          console.log('✅ SENDER - Message sent successfully')
-        } else {
-          console.error('❌ SENDER - Cannot send message, WebSocket not connected. State:', {
-            wsExists: !!ws,
-            readyState: ws?.readyState,
-            expectedState: WebSocket.OPEN
-          })
-        }
-      },
-
-      close() {
-        // Clear any pending timeouts
-        if (connectionTimeout) {
-          clearTimeout(connectionTimeout)
-          connectionTimeout = null
-        }
-
-        if (ws) {
-          ws.close()
-          ws = null
-        }
-      },
-
-      isConnected() {
-        return ws && ws.readyState === WebSocket.OPEN
-      }
-    }
-
-    return client
-  }
-
   async handleStatusChange(status, data = {}) {
-    console.log('📊 SENDER STATUS CHANGE:', status, data)
-    console.log('📊 Current sender state:', {
-      connectionState: this.connectionState,
-      isConnected: this.isConnected,
-      signalingClientExists: !!this.signalingClient,
-      signalingClientConnected: this.signalingClient?.isConnected(),
-      timestamp: new Date().toISOString()
-    })
+    this.log.debug('Signaling status', { status, connectionState: this.connectionState })
 
     switch (status) {
       case 'connected':
-        console.log('✅ SENDER SIGNALING CONNECTED - About to join room')
+        this.signalingUrl = this.signalingClient.url // ICE servers come from the same server
+        await this.checkReceiverAvailability()
         await this.joinRoom()
         break
 
+      // The client has re-sent our join - viewers are reconnected from its reply
       case 'reconnected':
-        await this.rejoinAfterReconnect()
+        this.signalingUrl = this.signalingClient.url
+        this.rejoining = true
+        this.log.info('Rejoining after reconnect')
         break
 
       case 'disconnected':
-        this.updateStatus('disconnected')
+        // Nothing to report after stop(), or before the first connection succeeded
+        if (this.signalingClient?.hasConnected) this.updateStatus('disconnected')
         break
 
       case 'reconnecting':
-        this.updateStatus('reconnecting', data)
+        if (this.signalingClient?.hasConnected) {
+          this.updateStatus('reconnecting', data)
+          break
+        }
+        // Never got through - keep retrying in the background, but tell the user now
+        this.updateStatus('no-receiver', {
+          ...data,
+          message: 'Cannot connect to signaling server. Make sure the receiver app is running.'
+        })
+        if (data.attempt === 1) {
+          this.log.warn('Signaling server unreachable')
+          this.onError(new Error('Cannot connect to signaling server'))
+        }
         break
 
-      case 'no-receiver':
-        console.log('❌ No receiver available:', data.message)
-        this.updateStatus('no-receiver', data)
-        // Trigger error callback with helpful message
-        this.onError(new Error(data.message || 'No receiver found'))
+      // Always followed by 'disconnected' and a reconnect attempt
+      case 'error':
+        this.log.debug('Signaling socket error')
         break
 
-      case 'error':
       case 'failed':
         this.updateStatus('error', data)
         break
@@ -395,421 +220,1112 @@ class ScreenSender {
   }
 
   async joinRoom() {
-    console.log('📱 Sender attempting to join room:', this.room)
-    console.log('📱 Current sender state:', {
-      room: this.room,
-      signalingUrl: this.signalingUrl,
-      signalingConnected: this.signalingClient?.isConnected()
-    })
-
     if (!this.signalingClient?.isConnected()) {
-      console.warn('⚠️ Signaling client not connected, cannot join room')
+      this.log.warn('Signaling client not connected, cannot join room')
       return
     }
 
     try {
+      // Capture once before joining - every viewer shares the same track
+      if (!this.localStream) {
+        await this.captureScreen()
+        await this.captureAudio()
+        if (this.contentMode === 'auto') this.startContentDetection()
+      }
+
+      // Rejoins reuse the PIN so viewers already in the room stay authorized
       const joinMessage = {
         type: 'join',
         role: 'offerer',
-        room: this.room
+        room: this.room,
+        ...(this.pin ? { pin: this.pin } : {}),
+        ...(this.senderToken ? { senderToken: this.senderToken } : {})
       }
-      console.log('📱 SENDER JOIN ROOM - Sending message:', joinMessage)
-      console.log('📱 Signaling client state:', {
-        exists: !!this.signalingClient,
-        isConnected: this.signalingClient?.isConnected(),
-        readyState: this.signalingClient?.ws?.readyState
-      })
-
-      // Send join message
+      // Send join message - the server answers with the viewers already in the room
+      this.log.info('Joining room')
       this.signalingClient.send(joinMessage)
-      console.log('✅ SENDER - Join message sent successfully')
-
-      // Initialize WebRTC
-      await this.initializeWebRTC()
     } catch (error) {
-      console.error('Failed to join room:', error)
+      this.log.error('Failed to join room', error)
       this.onError(error)
     }
   }
 
-  async rejoinAfterReconnect() {
-    console.log('Rejoining after reconnect...')
+  // Room membership messages from the signaling server
+  async handleRoomEvent(message) {
+    switch (message.type) {
+      case 'joined':
+        this.peerId = message.peerId
+        this.rejoining = false
+        if (message.pin && message.pin !== this.pin) {
+          this.pin = message.pin
+          this.onRoomPin(this.pin)
+        }
+        if (message.senderToken) this.senderToken = message.senderToken
+        this.log.setContext({ peerId: this.peerId })
+        this.log.info('Joined room', { peers: message.peers })
+        // After a reconnect, viewers the server no longer lists have left for good. The
+        // rest - still in the room, or back within its reconnect grace - keep their peer
+        // connection: media never went through the signaling server.
+        for (const peerId of Array.from(this.peers.keys())) {
+          if (!message.peers?.some((peer) => peer.peerId === peerId)) {
+            this.closeViewer(peerId)
+          }
+        }
+        if (!message.peers?.some((peer) => peer.role === 'answerer')) {
+          this.updateStatus('waiting-for-receiver')
+        }
+        for (const peer of message.peers || []) {
+          if (peer.role !== 'answerer') continue
+          this.rememberLayer(peer.peerId, peer.layer)
+          if (this.isViewerUsable(peer.peerId)) {
+            this.log.info('Keeping viewer connection', { viewer: peer.peerId })
+            continue
+          }
+          await this.connectViewer(peer.peerId)
+        }
+        break
 
-    // Clean up old peer connection
-    if (this.pc) {
-      this.pc.close()
-      this.pc = null
-    }
+      // Receivers can arrive (or come back) at any time - each gets a fresh offer
+      case 'peer-joined':
+        this.rememberLayer(message.peerId, message.layer)
+        await this.connectViewer(message.peerId)
+        break
 
-    // Rejoin room and reinitialize WebRTC
-    await this.joinRoom()
-  }
+      // A viewer, or the server's admin API, picked another simulcast layer
+      case 'layer':
+        await this.setViewerLayer(message.peerId, message.layer)
+        break
 
-  async initializeWebRTC() {
-    try {
-      // Create peer connection with ULTRA LOW LATENCY configuration
-      this.pc = new RTCPeerConnection({
-        iceServers: this.iceServers,
-        // Ultra low latency configuration
-        bundlePolicy: 'balanced',
-        iceCandidatePoolSize: 10,
-        iceTransportPolicy: 'all',
-        rtcpMuxPolicy: 'require'
-      })
+      case 'peer-left':
+        this.closeViewer(message.peerId)
+        this.receivers.delete(message.peerId)
+        this.emitReceivers()
+        break
 
-      // Set up event handlers
-      this.pc.onicecandidate = (event) => {
-        if (event.candidate && this.signalingClient?.isConnected()) {
-          this.signalingClient.send({
-            type: 'signal',
-            room: this.room,
-            to: 'answerer',
-            data: { ice: event.candidate }
+      // An administrator kicked us or closed the room - stop instead of reconnecting
+      case 'removed':
+        this.log.warn('Removed from room by an administrator', { reason: message.reason })
+        this.stop()
+        this.onError(new Error('Screen sharing was ended by an administrator'))
+        break
+
+      case 'error':
+        // A viewer that left while we were still signaling it - just drop it
+        if (message.code === 'PEER_NOT_IN_ROOM') {
+          this.log.warn('Viewer no longer in room', { viewer: message.to })
+          this.closeViewer(message.to)
+          break
+        }
+        // A draining server, or a refused rejoin, is part of reconnecting - the client
+        // tries again on its own, so the share isn't over
+        if (message.code === 'SERVER_SHUTTING_DOWN' || this.rejoining) {
+          this.log.warn('Rejoin refused, still reconnecting', {
+            code: message.code,
+            message: message.message
           })
+          this.updateStatus('reconnecting', { code: message.code, message: message.message })
+          break
         }
-      }
+        this.log.error('Signaling server error', { code: message.code, message: message.message })
+        this.updateStatus('error', { code: message.code, message: message.message })
+        this.onError(new Error(message.message || 'Signaling server error'))
+        break
+    }
+  }
 
-      this.pc.onconnectionstatechange = () => {
-        console.log('WebRTC connection state:', this.pc.connectionState)
-        this.updateStatus('webrtc-' + this.pc.connectionState)
-
-        if (this.pc.connectionState === 'connected') {
-          this.isConnected = true
-          this.onStreamStarted()
-        } else if (
-          this.pc.connectionState === 'disconnected' ||
-          this.pc.connectionState === 'failed'
-        ) {
-          this.isConnected = false
-          this.onStreamEnded()
-        }
-      }
+  // Open a dedicated peer connection for one viewer, sharing the captured tracks
+  async connectViewer(peerId) {
+    if (!this.localStream) {
+      this.log.warn('No local stream yet, cannot connect viewer', { viewer: peerId })
+      return
+    }
 
-      // Capture screen
-      await this.captureScreen()
+    // A re-joining viewer gets a fresh connection
+    this.closeViewer(peerId)
 
-      // Create and send offer
-      await this.createOffer()
+    this.log.info('Connecting viewer', { viewer: peerId })
+    try {
+      await this.loadIceServers()
+      const pc = this.createPeerConnection(peerId)
+      this.peers.set(peerId, pc)
+
+      // Adding the tracks fires negotiationneeded, which sends the offer
+      this.localStream.getTracks().forEach((track) => this.addSenderTrack(pc, track))
+      this.applyViewerCodecs(peerId)
+      if (this.privacyState !== 'live') this.sendPrivacy(peerId)
     } catch (error) {
-      console.error('Failed to initialize WebRTC:', error)
+      this.log.error('Failed to connect viewer', { viewer: peerId, error })
+      this.closeViewer(peerId)
       this.onError(error)
-      throw error
     }
   }
 
-  async captureScreen() {
+  // Send one captured track to a viewer. Video is a single encoding, or simulcast layers when
+  // configured (see simulcastLayers) - a receiver that can't take them answers without, and
+  // gets the first. Both tracks share the stream, so they play in sync. While paused or
+  // blanked, video starts out as the slate.
+  addSenderTrack(pc, track) {
+    const sent = track.kind === 'video' && this.slate ? this.slate.track : track
+    let sendEncodings = null
+    if (track.kind === 'audio') {
+      sendEncodings = [{ maxBitrate: AUDIO_BITRATE }]
+    } else if (this.simulcastLayers.length > 1) {
+      sendEncodings = this.simulcastLayers.map(({ rid, scaleResolutionDownBy }) => ({
+        rid,
+        scaleResolutionDownBy
+      }))
+    }
+    pc.addTransceiver(sent, {
+      direction: 'sendonly',
+      streams: [this.localStream],
+      ...(sendEncodings ? { sendEncodings } : {})
+    })
+  }
+
+  // A viewer connection that hasn't failed - ICE restarts take care of network changes
+  isViewerUsable(peerId) {
+    const state = this.peers.get(peerId)?.connectionState
+    return Boolean(state) && state !== 'failed' && state !== 'closed'
+  }
+
+  closeViewer(peerId) {
+    const pc = this.peers.get(peerId)
+    if (!pc) return
+
+    this.log.info('Closing viewer connection', { viewer: peerId })
+    this.peers.delete(peerId)
+    this.stopBitrateController(peerId)
+    this.clearIceTimers(peerId)
+    this.negotiations.delete(peerId)
+    pc.close()
+    this.handleViewerStateChange(peerId, 'closed')
+  }
+
+  closeAllViewers() {
+    this.peers.forEach((pc, peerId) => {
+      this.stopBitrateController(peerId)
+      this.clearIceTimers(peerId)
+      pc.close()
+    })
+    this.peers.clear()
+    this.negotiations.clear()
+    // Viewers come back with new peer ids
+    this.receivers.clear()
+    this.emitReceivers()
+  }
+
+  // Fetch STUN/TURN servers with short-lived TURN credentials from the signaling server.
+  // TURN is only handed out to room participants, so this needs to run after joining.
+  // Cached until a minute before the credentials expire; defaults are kept on failure.
+  async loadIceServers() {
+    if (this.iceServersExpireAt && this.iceServersExpireAt * 1000 - Date.now() > 60000) return
+
     try {
-      console.log('Attempting Electron desktop capture...')
+      const url = new URL('/api/ice-servers', toHttpUrl(this.signalingUrl))
+      url.searchParams.set('room', this.room)
+      if (this.peerId) url.searchParams.set('peerId', this.peerId)
+      const response = await fetch(url, { cache: 'no-store' })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const { iceServers, expiresAt } = await response.json()
+      if (iceServers?.length) {
+        this.iceServers = iceServers
+        // Without TURN there is nothing to expire - refetch on the next viewer anyway
+        this.iceServersExpireAt = expiresAt
+        this.log.debug('ICE servers loaded', { count: iceServers.length })
+      }
+    } catch (error) {
+      this.log.warn('Could not fetch ICE servers, using defaults', error)
+    }
+  }
 
-      // Get available desktop sources using Electron's desktopCapturer
-      const sources = await window.api.getDesktopSources()
-      console.log('Available sources:', sources.length)
+  createPeerConnection(peerId) {
+    // Create peer connection with ULTRA LOW LATENCY configuration
+    const pc = new RTCPeerConnection({
+      iceServers: this.iceServers,
+      // Ultra low latency configuration
+      bundlePolicy: 'balanced',
+      iceCandidatePoolSize: 10,
+      iceTransportPolicy: 'all',
+      rtcpMuxPolicy: 'require'
+    })
+    this.negotiations.set(peerId, {
+      makingOffer: false, // Perfect negotiation: we're the impolite peer (see handleSignal)
+      ignoreOffer: false,
+      iceRestarts: 0,
+      graceTimer: null,
+      restartTimer: null,
+      codecOrder: null, // Codec names as last applied, see applyViewerCodecs
+      codecsChanged: false, // Renegotiate once the offer in flight is answered
+      encoding: {} // Requested full-quality encoding parameters, see applyEncodingParameters
+    })
 
-      if (sources.length === 0) {
-        throw new Error('No screen sources available')
+    // Initial offer and every ICE restart (pc.restartIce()) go through here
+    pc.onnegotiationneeded = async () => {
+      try {
+        await this.createOffer(peerId)
+      } catch (error) {
+        this.onError(error)
       }
+    }
 
-      // Find the primary display - prioritize entire screen or first display
-      let primaryScreen = sources.find(
-        (source) =>
-          source.name.includes('Entire screen') ||
-          source.name.includes('Screen 1') ||
-          source.name.toLowerCase().includes('main') ||
-          source.name.toLowerCase().includes('primary')
-      )
+    // Set up event handlers
+    // Queued by the signaling client while it reconnects
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.signalingClient?.send({
+          type: 'signal',
+          room: this.room,
+          to: peerId,
+          data: { ice: event.candidate }
+        })
+      }
+    }
 
-      // Fallback to first screen source if no obvious primary found
-      if (!primaryScreen) {
-        primaryScreen = sources.find((source) => source.name.includes('Screen')) || sources[0]
+    pc.oniceconnectionstatechange = () => {
+      if (this.peers.get(peerId) !== pc) return
+      this.log.debug('ICE connection state', { viewer: peerId, state: pc.iceConnectionState })
+      this.handleIceStateChange(peerId, pc.iceConnectionState)
+    }
+
+    pc.onconnectionstatechange = () => {
+      this.log.info('WebRTC connection state', { viewer: peerId, state: pc.connectionState })
+      if (this.peers.get(peerId) === pc) {
+        if (pc.connectionState === 'failed') this.restartIce(peerId, 'connection-failed')
+        this.handleViewerStateChange(peerId, pc.connectionState)
       }
+    }
 
-      console.log('Using primary screen source:', primaryScreen.name)
-      console.log(
-        'Available sources:',
-        sources.map((s) => s.name)
-      )
+    return pc
+  }
 
-      // Create constraints for getUserMedia with HIGH PERFORMANCE optimization
-      console.log('🚀 Using HIGH PERFORMANCE video constraints')
-      const constraints = {
-        audio: false, // Desktop audio capture is complex in Electron
-        video: {
-          mandatory: {
-            chromeMediaSource: 'desktop',
-            chromeMediaSourceId: primaryScreen.id,
-            // High frame rate settings
-            maxFrameRate: 60, // High frame rate for smooth streaming
-            minFrameRate: 30, // Reasonable minimum for consistent performance
-            // High resolution settings
-            maxWidth: 1920, // Full HD width for high quality
-            maxHeight: 1080, // Full HD height for high quality
-            minWidth: 1280, // HD minimum
-            minHeight: 720 // HD minimum
-          }
+  // Network changes are survived with an ICE restart on the same connection, so the
+  // receiver keeps its decoder and video element - no black gap on the TV
+  handleIceStateChange(peerId, state) {
+    const negotiation = this.negotiations.get(peerId)
+    if (!negotiation) return
+
+    switch (state) {
+      case 'connected':
+      case 'completed':
+        if (negotiation.iceRestarts) {
+          this.log.info('ICE restart succeeded', {
+            viewer: peerId,
+            attempts: negotiation.iceRestarts
+          })
         }
+        this.clearIceTimers(peerId)
+        negotiation.iceRestarts = 0
+        break
+
+      // Often recovers by itself (e.g. Wi-Fi roaming) - restart only if it doesn't
+      case 'disconnected':
+        if (negotiation.graceTimer || negotiation.restartTimer) break
+        negotiation.graceTimer = setTimeout(() => {
+          negotiation.graceTimer = null
+          if (this.peers.get(peerId)?.iceConnectionState === 'disconnected') {
+            this.restartIce(peerId, 'ice-disconnected')
+          }
+        }, ICE_DISCONNECTED_GRACE)
+        break
+
+      case 'failed':
+        this.restartIce(peerId, 'ice-failed')
+        break
+    }
+  }
+
+  async restartIce(peerId, reason) {
+    const pc = this.peers.get(peerId)
+    const negotiation = this.negotiations.get(peerId)
+    if (!pc || !negotiation || negotiation.restartTimer) return // One restart at a time
+
+    // Last resort: a brand new connection, which the receiver has to start over with
+    if (negotiation.iceRestarts >= MAX_ICE_RESTARTS) {
+      this.log.warn('ICE restarts exhausted, rebuilding viewer connection', {
+        viewer: peerId,
+        attempts: negotiation.iceRestarts
+      })
+      await this.connectViewer(peerId)
+      return
+    }
+
+    negotiation.iceRestarts++
+    this.log.info('Restarting ICE', { viewer: peerId, reason, attempt: negotiation.iceRestarts })
+    clearTimeout(negotiation.graceTimer)
+    negotiation.graceTimer = null
+    negotiation.restartTimer = setTimeout(() => {
+      negotiation.restartTimer = null
+      const state = this.peers.get(peerId)?.iceConnectionState
+      if (state && state !== 'connected' && state !== 'completed') {
+        this.restartIce(peerId, 'restart-timeout')
       }
+    }, ICE_RESTART_TIMEOUT)
 
-      // Use getUserMedia with the desktop source
-      this.localStream = await navigator.mediaDevices.getUserMedia(constraints)
-      console.log('Electron desktop capture successful')
+    // TURN credentials may have expired since the connection was set up
+    await this.loadIceServers()
+    if (this.peers.get(peerId) !== pc) return
+    pc.setConfiguration({ ...pc.getConfiguration(), iceServers: this.iceServers })
+    pc.restartIce() // Fires negotiationneeded - the next offer carries new ICE credentials
+  }
 
-      // Handle stream ended (user clicked stop sharing)
-      const videoTrack = this.localStream.getVideoTracks()[0]
-      if (videoTrack) {
-        videoTrack.addEventListener('ended', () => {
-          console.log('Screen sharing ended by user')
-          this.stop()
-        })
+  clearIceTimers(peerId) {
+    const negotiation = this.negotiations.get(peerId)
+    if (!negotiation) return
+    clearTimeout(negotiation.graceTimer)
+    clearTimeout(negotiation.restartTimer)
+    negotiation.graceTimer = null
+    negotiation.restartTimer = null
+  }
+
+  // Stream is considered live while at least one viewer is connected
+  handleViewerStateChange(peerId, state) {
+    const wasConnected = this.isConnected
+    const connectedViewers = this.getConnectedViewerCount()
+    this.isConnected = connectedViewers > 0
+
+    let status = 'webrtc-' + state
+    if (this.isConnected) status = 'webrtc-connected'
+    else if (this.peers.size === 0) status = 'waiting-for-receiver'
+    this.updateStatus(status, { peerId, state, connectedViewers })
+
+    if (!wasConnected && this.isConnected) {
+      this.onStreamStarted()
+    } else if (wasConnected && !this.isConnected) {
+      this.onStreamEnded()
+    }
+  }
+
+  getConnectedViewerCount() {
+    let count = 0
+    this.peers.forEach((pc) => {
+      if (pc.connectionState === 'connected') count++
+    })
+    return count
+  }
+
+  async captureScreen() {
+    try {
+      // Displays and windows from Electron's desktopCapturer, the primary display first
+      const sources = await window.api.getDesktopSources()
+
+      if (sources.length === 0) {
+        throw new Error('No screen sources available')
       }
 
-      // Add tracks to peer connection with HARDWARE ACCELERATION
-      this.localStream.getTracks().forEach((track) => {
-        console.log(`Adding ${track.kind} track to peer connection with hardware acceleration`)
-        // Use addTransceiver for high performance control (conservative settings)
-        // const transceiver = this.pc.addTransceiver(track, {
-        //   direction: 'sendonly',
-        //   streams: [this.localStream],
-        //   // High-quality encoding settings
-        //   sendEncodings: [{
-        //     maxBitrate: 15000000, // 15 Mbps - High quality but conservative
-        //     maxFramerate: 60, // High frame rate
-        //     scaleResolutionDownBy: 1.0, // No scaling - full quality
-        //     priority: 'high',
-        //     networkPriority: 'high'
-        //     // Removed experimental properties that might cause issues
-        //   }]
-        // })
-        console.log(`Transceiver added for ${track.kind} with hardware acceleration`)
+      const source = this.resolveSource(sources)
+      this.log.debug('Capturing source', {
+        source: source.name,
+        available: sources.map((s) => s.name)
       })
 
-      console.log(
-        `Screen capture started - Video: ${this.localStream.getVideoTracks().length}, Audio: ${this.localStream.getAudioTracks().length}`
-      )
+      const { track, cropper } = await this.captureVideo(source)
+      this.localStream = new MediaStream([track])
+      this.cropper = cropper
+      this.setSource(source)
+
+      this.log.info('Screen capture started', {
+        videoTracks: this.localStream.getVideoTracks().length,
+        audioTracks: this.localStream.getAudioTracks().length
+      })
     } catch (error) {
-      console.error('Failed to capture screen:', error)
+      this.log.error('Failed to capture screen', error)
+      throw this.captureError(error)
+    }
+  }
 
-      // Provide more specific error information
-      if (error.name === 'NotAllowedError') {
-        throw new Error(
-          'Screen recording permission denied. Please grant permission in System Settings > Privacy & Security > Screen Recording'
-        )
-      } else if (error.name === 'NotSupportedError') {
-        throw new Error('Screen capture not supported in this browser environment')
-      } else if (error.name === 'NotFoundError') {
-        throw new Error('No screen available for capture')
-      } else if (error.message && error.message.includes('No screen sources')) {
-        throw new Error('No screen sources found. Make sure screen recording is enabled.')
-      } else {
-        throw new Error(`Desktop capture failed: ${error.message}`)
+  // The picked source if it's still there - window ids change when the app restarts,
+  // so the name is tried next - else the primary display
+  resolveSource(sources) {
+    const wanted = this.source
+    const match =
+      wanted &&
+      (sources.find((source) => source.id === wanted.id) ||
+        sources.find((source) => source.type === wanted.type && source.name === wanted.name))
+    if (match) return match
+    if (wanted) {
+      this.log.warn('Picked source is gone, sharing the primary display', { source: wanted.name })
+    }
+    return sources.find((source) => source.type === 'screen') || sources[0]
+  }
+
+  // The track to send for a source - the capture itself, or its crop while a region is set.
+  // Regions apply to displays only; a window is already just the part that matters.
+  async captureVideo(source) {
+    const cropping = Boolean(this.region) && source.type !== 'window'
+    const stream = await this.captureSource(source, cropping)
+    const captured = stream.getVideoTracks()[0]
+    const cropper = cropping ? new RegionCropper(captured, this.region, { log: this.log }) : null
+    const track = cropper ? cropper.track : captured
+    this.prepareVideoTrack(track, captured)
+    return { track, cropper }
+  }
+
+  // A video-only stream of one desktop source ({ id, type } from getDesktopSources()).
+  // `fullResolution` lifts the Full HD cap, so a cropped region keeps its detail.
+  async captureSource(source, fullResolution = false) {
+    // Create constraints for getUserMedia with HIGH PERFORMANCE optimization
+    const constraints = {
+      audio: false, // Audio is mixed separately, see captureAudio()
+      video: {
+        mandatory: {
+          chromeMediaSource: 'desktop',
+          chromeMediaSourceId: source.id,
+          // No minimum: capture then only delivers frames when the screen changes, which
+          // is what 'auto' content mode measures. The content mode caps what is encoded.
+          maxFrameRate: 60,
+          // High resolution settings - Full HD, or up to 8K to crop from
+          maxWidth: fullResolution ? 7680 : 1920,
+          maxHeight: fullResolution ? 4320 : 1080,
+          // HD minimum for displays - windows are captured at their own size
+          ...(source.type === 'window' ? {} : { minWidth: 1280, minHeight: 720 })
+        }
       }
     }
+
+    // Use getUserMedia with the desktop source
+    return navigator.mediaDevices.getUserMedia(constraints)
+  }
+
+  // `captured` is the capture behind a cropped track
+  prepareVideoTrack(track, captured = track) {
+    if (!track) return
+    track.contentHint = CONTENT_MODES[this.activeContentMode].contentHint
+    // Handle stream ended (user clicked stop sharing, or the shared window closed)
+    captured.addEventListener('ended', () => {
+      if (this.localStream?.getVideoTracks()[0] !== track) return // Replaced since
+      this.log.info('Screen sharing ended by user')
+      this.stop()
+    })
+  }
+
+  setSource(source) {
+    const { id, name, type, displayId = null } = source
+    this.source = { id, name, type, displayId }
+    this.onSourceChange(this.source)
   }
 
-  async createOffer() {
+  // Share another display or window. While streaming, every viewer's video sender gets
+  // the new track through replaceTrack() - no renegotiation, the viewers stay connected.
+  async switchSource(source) {
+    if (!this.localStream) {
+      this.setSource(source) // Captured when sharing starts
+      return
+    }
+
+    this.log.info('Switching source', { source: source.name })
+    let captured
     try {
-      const offer = await this.pc.createOffer()
+      captured = await this.captureVideo(source)
+    } catch (error) {
+      this.log.error('Failed to capture source', { source: source.name, error })
+      throw this.captureError(error)
+    }
+    const { track, cropper } = captured
+    const previous = this.localStream.getVideoTracks()[0]
+    const previousCropper = this.cropper
+    this.cropper = cropper
+
+    // Paused or blanked viewers keep the slate until resume()
+    await this.replaceVideoTrack(previous, track)
+    this.localStream.removeTrack(previous)
+    this.localStream.addTrack(track)
+    if (previousCropper) previousCropper.stop()
+    else previous.stop()
+
+    // Frame counts start over with the new track
+    if (this.contentModeDetector) {
+      this.contentModeDetector.stop()
+      this.contentModeDetector.start()
+    }
+    this.setSource(source)
+  }
 
-      // Try H.264 optimization with fallback
-      console.log('🚀 Attempting H.264 optimization...')
-      let optimizedOffer = { ...offer }
+  // Share part of the display (see regions.js), null for all of it. Moving or resizing the
+  // region applies from the next frame; turning cropping on or off re-captures the display
+  // and swaps the track like switchSource() - the viewers stay connected either way.
+  async setRegion(region) {
+    this.region = clampRegion(region)
+    this.log.info('Region', { region: this.region })
+
+    const cropping = Boolean(this.cropper)
+    const wantsCrop = Boolean(this.region) && this.source?.type !== 'window'
+    if (cropping && wantsCrop) this.cropper.setRegion(this.region)
+    else if (this.localStream && cropping !== wantsCrop) await this.switchSource(this.source)
+    this.onRegionChange(this.region)
+  }
 
-      try {
-        optimizedOffer.sdp = this.forceH264ZeroLatency(offer.sdp)
-        // Test if the optimized SDP is valid by attempting to set it
-        const testPc = new RTCPeerConnection()
-        await testPc.setLocalDescription(optimizedOffer)
-        testPc.close()
-        console.log('🚀 H.264 optimization successful')
-      } catch (sdpError) {
-        console.warn('⚠️ H.264 optimization failed, using original SDP:', sdpError.message)
-        optimizedOffer = offer // Use original offer if optimization fails
-      }
+  stopCropper() {
+    if (!this.cropper) return
+    this.cropper.stop()
+    this.cropper = null
+  }
+
+  // Every viewer's video sender sending `from` sends `to` instead
+  async replaceVideoTrack(from, to) {
+    await Promise.all(
+      Array.from(this.peers.values(), (pc) => {
+        const videoSender = pc.getSenders().find((sender) => sender.track === from)
+        return videoSender?.replaceTrack(to)
+      })
+    )
+  }
+
+  // Freeze the viewers on the last frame - e.g. while typing a password. A blanked screen
+  // stays hidden: freezing now would show what it hides.
+  async pause() {
+    if (this.privacyState === 'paused') return
+    await this.showSlate(
+      'paused',
+      async (slate) =>
+        this.privacyState === 'live' && slate.freeze(this.localStream.getVideoTracks()[0])
+    )
+  }
+
+  // Hide the screen behind a branded 'slate' or plain 'black'
+  async blank(style = 'slate') {
+    if (!BLANK_STYLES.includes(style)) throw new Error(`Unknown blank style: ${style}`)
+    await this.showSlate('blanked', async (slate) => {
+      slate.blank(style, 'The screen is hidden for a moment')
+      return true
+    })
+  }
+
+  // Back to the live capture
+  async resume() {
+    if (this.privacyState === 'live') return
+    if (this.slate) {
+      await this.replaceVideoTrack(this.slate.track, this.localStream?.getVideoTracks()[0])
+      this.stopSlate()
+    }
+    // Frames are counted from scratch - the slate's don't tell anything about the screen
+    if (this.contentMode === 'auto' && this.localStream) this.startContentDetection()
+    this.setPrivacyState('live')
+  }
+
+  async showSlate(state, prepare) {
+    if (!this.localStream) {
+      this.log.warn('Not sharing, nothing to hide', { state })
+      return
+    }
+    const slate = this.slate || new PrivacySlate()
+    // No frame to freeze (e.g. the capture ended) - pause on the slate instead
+    if (!(await prepare(slate))) slate.blank('slate', 'Paused')
+    if (!this.slate) {
+      this.slate = slate
+      await this.replaceVideoTrack(this.localStream.getVideoTracks()[0], slate.track)
+    }
+    this.stopContentDetection()
+    this.setPrivacyState(state)
+  }
 
-      await this.pc.setLocalDescription(optimizedOffer)
+  stopSlate() {
+    if (!this.slate) return
+    this.slate.stop()
+    this.slate = null
+  }
 
-      // Set EXTREME low-latency encoding parameters immediately
-      setTimeout(() => {
-        this.setExtremePerformanceParameters()
-      }, 10) // Reduced delay for faster setup
+  setPrivacyState(state) {
+    this.privacyState = state
+    this.log.info('Privacy', { state })
+    this.peers.forEach((pc, peerId) => this.sendPrivacy(peerId))
+    this.onPrivacyChange(state)
+  }
 
-      // Send offer to receiver
+  // Lets the viewer show a paused indicator (see PROTOCOL.md#privacy). Queued while
+  // signaling reconnects, so a viewer doesn't keep showing a screen we just hid as live.
+  sendPrivacy(peerId) {
+    this.signalingClient?.send({
+      type: 'signal',
+      room: this.room,
+      to: peerId,
+      data: { privacy: this.privacyState }
+    })
+  }
+
+  // Provide more specific error information
+  captureError(error) {
+    if (error.name === 'NotAllowedError') {
+      return new Error(
+        'Screen recording permission denied. Please grant permission in System Settings > Privacy & Security > Screen Recording'
+      )
+    } else if (error.name === 'NotSupportedError') {
+      return new Error('Screen capture not supported in this browser environment')
+    } else if (error.name === 'NotFoundError') {
+      return new Error('No screen available for capture')
+    } else if (error.message && error.message.includes('No screen sources')) {
+      return new Error('No screen sources found. Make sure screen recording is enabled.')
+    }
+    return new Error(`Desktop capture failed: ${error.message}`)
+  }
+
+  async createOffer(peerId) {
+    const pc = this.peers.get(peerId)
+    const negotiation = this.negotiations.get(peerId)
+    if (!pc || !negotiation) return
+
+    try {
+      negotiation.makingOffer = true
+      // Codec order comes from the transceiver's preferences (see applyViewerCodecs)
+      const offer = await pc.createOffer()
+
+      // The viewer's offer won the race while we were building ours (see handleSignal)
+      if (pc.signalingState !== 'stable') return
+      const isRestart = Boolean(pc.currentRemoteDescription)
+      await pc.setLocalDescription(offer)
+
+      // Set EXTREME low-latency encoding parameters immediately - renegotiations keep the current ones
+      if (!isRestart) {
+        setTimeout(() => {
+          this.setExtremePerformanceParameters(peerId)
+        }, 10) // Reduced delay for faster setup
+      }
+
+      // Send offer to this viewer only
       this.signalingClient.send({
         type: 'signal',
         room: this.room,
-        to: 'answerer',
-        data: { sdp: this.pc.localDescription }
+        to: peerId,
+        data: { sdp: pc.localDescription }
       })
 
-      console.log('Android TV-optimized offer created and sent')
+      this.log.info('Offer sent', { viewer: peerId, renegotiation: isRestart })
     } catch (error) {
-      console.error('Failed to create offer:', error)
+      this.log.error('Failed to create offer', { viewer: peerId, error })
       throw error
+    } finally {
+      negotiation.makingOffer = false
     }
   }
 
-  async handleSignal(data) {
-    if (!this.pc) return
+  // Perfect negotiation (glare-safe): the receiver may offer too, e.g. to restart ICE from
+  // its side. We're the impolite peer - colliding viewer offers are ignored and the
+  // receiver (polite) rolls back and answers ours instead.
+  async handleSignal(data, from) {
+    // Receivers announce what they can decode - may arrive before their connection exists
+    if (data.capabilities) {
+      this.handleCapabilities(from, data.capabilities)
+      return
+    }
+
+    const pc = this.peers.get(from)
+    const negotiation = this.negotiations.get(from)
+    if (!pc || !negotiation) return
 
     try {
-      if (data.sdp && data.sdp.type === 'answer') {
-        await this.pc.setRemoteDescription(new RTCSessionDescription(data.sdp))
-        console.log('Answer received and set')
-        this.updateStatus('connected')
+      if (data.sdp) {
+        const offerCollision =
+          data.sdp.type === 'offer' && (negotiation.makingOffer || pc.signalingState !== 'stable')
+        negotiation.ignoreOffer = offerCollision
+        if (offerCollision) {
+          this.log.info('Ignoring colliding offer from viewer', { viewer: from })
+          return
+        }
+
+        await pc.setRemoteDescription(new RTCSessionDescription(data.sdp))
+        if (data.sdp.type === 'offer') {
+          await pc.setLocalDescription()
+          this.signalingClient.send({
+            type: 'signal',
+            room: this.room,
+            to: from,
+            data: { sdp: pc.localDescription }
+          })
+          this.log.info('Answered viewer offer', { viewer: from })
+        } else {
+          this.log.info('Answer received', { viewer: from })
+          // The answer decides which encodings are left - put the viewer's layer on them
+          await this.applyEncodingParameters(from, {})
+          this.updateStatus('connected', { peerId: from })
+          this.reportViewerCodec(from)
+          if (negotiation.codecsChanged) {
+            negotiation.codecsChanged = false
+            await this.createOffer(from)
+          }
+        }
       }
 
       if (data.ice) {
-        await this.pc.addIceCandidate(new RTCIceCandidate(data.ice))
-        console.log('ICE candidate added')
+        try {
+          await pc.addIceCandidate(new RTCIceCandidate(data.ice))
+        } catch (error) {
+          // Candidates for an offer we ignored can't be added - that's expected
+          if (!negotiation.ignoreOffer) throw error
+        }
       }
     } catch (error) {
-      console.error('Error handling signal:', error)
+      this.log.error('Error handling signal', { viewer: from, error })
       this.onError(error)
     }
   }
 
-  // Conservative H.264 optimization - prioritize H.264 without breaking SDP
-  forceH264ZeroLatency(sdp) {
-    console.log('🚀 Conservative H.264 optimization for better compatibility')
+  // `{ capabilities: { codecs, device } }` from a receiver - codecs it can decode, and the
+  // device name codec pins are keyed by
+  handleCapabilities(peerId, capabilities) {
+    const receiver = this.receivers.get(peerId) || {}
+    this.receivers.set(peerId, {
+      ...receiver,
+      device: capabilities.device || null,
+      codecs: Array.isArray(capabilities.codecs) ? capabilities.codecs : null
+    })
+    this.log.info('Receiver capabilities', { viewer: peerId, ...capabilities })
+    this.emitReceivers()
+    this.renegotiateCodecs(peerId)
+  }
 
-    const lines = sdp.split('\n')
-    let h264PayloadType = null
+  // Codec preference for one viewer: its pin if it can decode that, else the list
+  codecOrderFor(peerId) {
+    const { device, codecs } = this.receivers.get(peerId) || {}
+    const pinned = device && this.codecPins[device]
+    // Until the receiver announces its codecs, keep the rest as fallbacks
+    const only = Boolean(codecs)
+    if (pinned && (!codecs || codecs.includes(pinned))) return { preference: [pinned], only }
+    if (pinned) this.log.warn('Receiver cannot decode its pinned codec', { device, pinned })
+    const preference = codecs
+      ? this.codecPreference.filter((name) => codecs.includes(name))
+      : this.codecPreference
+    return { preference, only }
+  }
 
-    // Find H.264 payload type
-    for (const line of lines) {
-      if (line.includes('H264')) {
-        const match = line.match(/a=rtpmap:(\d+) H264/)
-        if (match) {
-          h264PayloadType = match[1]
-          console.log('🚀 Found H.264 payload type:', h264PayloadType)
-          break
-        }
-      }
-    }
+  // Set the video transceiver's codec preferences; true when the order changed
+  applyViewerCodecs(peerId) {
+    const pc = this.peers.get(peerId)
+    const negotiation = this.negotiations.get(peerId)
+    if (!pc || !negotiation) return false
 
-    if (!h264PayloadType) {
-      console.log('🚀 H.264 not found, using default codecs')
-      return sdp
-    }
+    const transceiver = pc
+      .getTransceivers()
+      .find((t) => t.sender.track && t.sender.track.kind === 'video')
+    if (!transceiver) return false
 
-    // Simple reordering: prioritize H.264 in m=video line
-    const modifiedLines = []
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i]
-
-      // Reorder m=video line to prioritize H.264
-      if (line.startsWith('m=video ')) {
-        const parts = line.split(' ')
-        if (parts.length > 3) {
-          const port = parts[1]
-          const protocol = parts[2]
-          const payloads = parts.slice(3)
-
-          // Put H.264 first if it exists
-          const reorderedPayloads = [
-            h264PayloadType,
-            ...payloads.filter((p) => p !== h264PayloadType)
-          ]
-          modifiedLines.push(`m=video ${port} ${protocol} ${reorderedPayloads.join(' ')}`)
-        } else {
-          modifiedLines.push(line)
-        }
-        continue
-      }
-
-      // Keep existing fmtp lines as-is to avoid breaking SDP
-      modifiedLines.push(line)
+    const { preference, only } = this.codecOrderFor(peerId)
+    let applied = null
+    try {
+      applied = applyCodecPreferences(transceiver, preference, { side: 'sender', only })
+    } catch (error) {
+      this.log.warn('Could not set codec preferences', { viewer: peerId, preference, error })
     }
+    if (!applied) return false
 
-    const optimizedSdp = modifiedLines.join('\n')
-    console.log('🚀 Conservative H.264 prioritization applied')
-    return optimizedSdp
-  }
-
-  // Simple VP8 codec preference - safer approach
-  forceVP8ForAndroidTV(sdp) {
-    console.log('📺 Applying VP8 preference for Android TV compatibility')
-
-    // Simple approach: just reorder VP8 before H.264 in the m= line
-    const lines = sdp.split('\n')
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i]
-
-      // Find the m=video line
-      if (line.startsWith('m=video ')) {
-        console.log('📺 Original m=video line:', line)
-
-        // Extract payload types
-        const parts = line.split(' ')
-        if (parts.length > 3) {
-          const port = parts[1]
-          const protocol = parts[2]
-          const payloads = parts.slice(3)
-
-          // Find VP8 payload type (usually 96)
-          const vp8Payloads = []
-          const otherPayloads = []
-
-          // Check rtpmap lines to identify VP8
-          payloads.forEach((payload) => {
-            // Look ahead to find corresponding rtpmap
-            const rtpmapLine = lines.find((l) => l.startsWith(`a=rtpmap:${payload} VP8`))
-            if (rtpmapLine) {
-              vp8Payloads.push(payload)
-              console.log('📺 Found VP8 payload:', payload)
-            } else {
-              otherPayloads.push(payload)
-            }
-          })
+    const codecOrder = applied.join(',')
+    const changed = codecOrder !== negotiation.codecOrder
+    negotiation.codecOrder = codecOrder
+    if (changed) this.log.debug('Codec preferences', { viewer: peerId, codecs: applied })
+    return changed
+  }
 
-          // Reorder: VP8 first, then others
-          if (vp8Payloads.length > 0) {
-            const reorderedPayloads = vp8Payloads.concat(otherPayloads)
-            const newMLine = `m=video ${port} ${protocol} ${reorderedPayloads.join(' ')}`
-            lines[i] = newMLine
-            console.log('📺 Updated m=video line:', newMLine)
-            console.log('📺 VP8 now prioritized')
-          } else {
-            console.warn('⚠️ VP8 not found, keeping original order')
-          }
-        }
-        break
+  // Codec preferences only take effect with a new offer
+  async renegotiateCodecs(peerId) {
+    const pc = this.peers.get(peerId)
+    const negotiation = this.negotiations.get(peerId)
+    if (!this.applyViewerCodecs(peerId) || !pc.currentRemoteDescription) return
+
+    if (pc.signalingState === 'stable' && !negotiation.makingOffer) {
+      this.log.info('Renegotiating codecs', { viewer: peerId })
+      try {
+        await this.createOffer(peerId)
+      } catch (error) {
+        this.onError(error)
       }
+    } else {
+      negotiation.codecsChanged = true
     }
+  }
+
+  // The sender's negotiated codecs are in answer order - the first one is sent
+  reportViewerCodec(peerId) {
+    const pc = this.peers.get(peerId)
+    const videoSender = pc?.getSenders().find((sender) => sender.track?.kind === 'video')
+    const codec = videoSender?.getParameters().codecs?.[0]
+    if (!codec) return
+
+    const receiver = this.receivers.get(peerId) || {}
+    const name = codecName(codec.mimeType)
+    if (receiver.codec === name) return
+    this.receivers.set(peerId, { ...receiver, codec: name })
+    this.log.info('Codec negotiated', { viewer: peerId, codec: name, device: receiver.device })
+    this.emitReceivers()
+  }
+
+  emitReceivers() {
+    this.onReceiversChange(
+      Array.from(this.receivers, ([peerId, receiver]) => ({
+        peerId,
+        ...receiver,
+        pinned: (receiver.device && this.codecPins[receiver.device]) || null
+      }))
+    )
+  }
+
+  // Publish the top `count` layers (1-3) to viewers that connect from now on - the encodings
+  // are fixed when a connection is set up. With one, the viewer's layer scales that encoding
+  // down; with more, switching layers only flips which one is active, and a receiver that
+  // doesn't negotiate simulcast (a browser peer to peer, usually) falls back to the first.
+  setSimulcastLayers(count) {
+    this.simulcastLayers = SIMULCAST_LAYERS.slice(0, count)
+    this.log.info('Simulcast layers', { layers: this.simulcastLayers.map(({ layer }) => layer) })
+  }
+
+  // Reorder the codec list for every viewer, e.g. ['VP9', 'H264', 'VP8', 'AV1']
+  async setCodecPreference(preference) {
+    this.codecPreference = preference
+    this.log.info('Codec preference', { preference })
+    await Promise.all(Array.from(this.peers.keys(), (peerId) => this.renegotiateCodecs(peerId)))
+  }
 
-    return lines.join('\n')
+  // Always use `codec` for receivers named `device`; null unpins
+  async pinCodec(device, codec) {
+    if (codec) this.codecPins[device] = codec
+    else delete this.codecPins[device]
+    this.log.info('Codec pin', { device, codec })
+    this.emitReceivers()
+
+    const viewers = Array.from(this.receivers)
+      .filter(([, receiver]) => receiver.device === device)
+      .map(([peerId]) => peerId)
+    await Promise.all(viewers.map((peerId) => this.renegotiateCodecs(peerId)))
   }
 
   // Set HIGH PERFORMANCE parameters with hardware optimization
-  async setExtremePerformanceParameters() {
-    console.log('🚀 Setting HIGH PERFORMANCE encoding parameters')
+  async setExtremePerformanceParameters(peerId = null) {
     try {
-      await this.setEncodingParameters({
-        maxBitrate: 15000000, // 15 Mbps - High quality for local network
-        maxFramerate: 60, // High frame rate
-        scaleResolutionDownBy: 1.0, // Keep full resolution
-        // High performance optimizations
-        networkPriority: 'high',
-        priority: 'high'
-        // Removed experimental properties
-      })
+      await this.setEncodingParameters(
+        {
+          // In 'auto' the bitrate controller sets bitrate, frame rate and resolution next
+          ...(this.qualityPreset === 'auto' ? {} : this.fixedEncodingParameters()),
+          degradationPreference: CONTENT_MODES[this.activeContentMode].degradationPreference,
+          // High performance optimizations
+          networkPriority: 'high',
+          priority: 'high'
+        },
+        peerId
+      )
+      if (this.qualityPreset === 'auto' && peerId) this.startBitrateController(peerId)
 
       // Additional optimizations
       await this.enableHardwareAcceleration()
-      await this.optimizeNetworkStack()
+      await this.optimizeNetworkStack(peerId)
+
+      this.log.debug('Performance parameters applied', { viewer: peerId })
+    } catch (error) {
+      this.log.warn('Could not set performance parameters', { viewer: peerId, error })
+    }
+  }
+
+  // Switch between 'auto' and a fixed preset for every viewer; fixed presets use `params`
+  async setQualityPreset(preset, params = {}) {
+    this.qualityPreset = preset
+    this.log.info('Quality preset', { preset, ...params })
+
+    if (preset === 'auto') {
+      this.peers.forEach((pc, peerId) => this.startBitrateController(peerId))
+      return
+    }
+    this.bitrateControllers.forEach((controller, peerId) => this.stopBitrateController(peerId))
+    this.encodingParameters = { ...this.encodingParameters, ...params }
+    await this.setEncodingParameters(this.fixedEncodingParameters())
+  }
+
+  // A fixed preset's parameters, capped by the active content mode
+  fixedEncodingParameters() {
+    const { maxBitrate, maxFramerate } = CONTENT_MODES[this.activeContentMode]
+    return {
+      ...this.encodingParameters,
+      maxBitrate: Math.min(this.encodingParameters.maxBitrate, maxBitrate),
+      maxFramerate: Math.min(this.encodingParameters.maxFramerate, maxFramerate)
+    }
+  }
+
+  // The bitrate controller's ceilings for the active content mode
+  contentLimits() {
+    const { maxBitrate, maxFramerate, degradationPreference } =
+      CONTENT_MODES[this.activeContentMode]
+    return {
+      maxBitrate,
+      maxFramerate,
+      maintainResolution: degradationPreference === 'maintain-resolution'
+    }
+  }
+
+  // Switch between 'auto' and a fixed content mode (a key of CONTENT_MODES)
+  async setContentMode(mode) {
+    if (mode !== 'auto' && !CONTENT_MODES[mode]) throw new Error(`Unknown content mode: ${mode}`)
+    this.contentMode = mode
+    this.log.info('Content mode', { mode })
+
+    if (mode === 'auto') {
+      // Paused or blanked, detection waits for resume()
+      if (this.localStream && this.privacyState === 'live') this.startContentDetection()
+      this.onContentModeChange({ mode, active: this.activeContentMode, reason: 'manual' })
+      return
+    }
+    this.stopContentDetection()
+    await this.applyContentMode(mode, 'manual')
+  }
+
+  // Apply a concrete content mode to the captured track and every viewer's encoder
+  async applyContentMode(active, reason, details = {}) {
+    this.activeContentMode = active
+    const { contentHint, degradationPreference } = CONTENT_MODES[active]
+
+    const videoTrack = this.localStream?.getVideoTracks()[0]
+    if (videoTrack) videoTrack.contentHint = contentHint
 
-      console.log('🚀 HIGH PERFORMANCE parameters applied')
+    try {
+      if (this.qualityPreset === 'auto') {
+        await this.setEncodingParameters({ degradationPreference })
+        const limits = this.contentLimits()
+        await Promise.all(
+          Array.from(this.bitrateControllers.values(), (controller) => controller.setLimits(limits))
+        )
+      } else {
+        await this.setEncodingParameters({
+          ...this.fixedEncodingParameters(),
+          degradationPreference
+        })
+      }
     } catch (error) {
-      console.warn('⚠️ Could not set performance parameters:', error.message)
+      this.log.warn('Could not apply content mode', { mode: active, error })
     }
+    this.onContentModeChange({ mode: this.contentMode, active, reason, ...details })
+  }
+
+  startContentDetection() {
+    if (this.contentModeDetector) return
+    this.contentModeDetector = new ContentModeDetector(
+      () => Array.from(this.peers.values()).find((pc) => pc.connectionState === 'connected'),
+      (mode, details) => {
+        if (this.contentMode !== 'auto') return
+        this.log.info('Content detected', { mode, ...details })
+        if (mode !== this.activeContentMode) this.applyContentMode(mode, 'detected', details)
+      }
+    )
+    this.contentModeDetector.start()
+  }
+
+  stopContentDetection() {
+    if (!this.contentModeDetector) return
+    this.contentModeDetector.stop()
+    this.contentModeDetector = null
   }
 
-  // Set encoding parameters for better quality/performance
-  async setEncodingParameters(params = {}) {
-    if (!this.pc) return
+  // Capture the audio source and add the mixed track to the stream. The track is added once
+  // and then kept - changing source, volume or mute later doesn't renegotiate.
+  async captureAudio() {
+    if (this.audioSource === 'off' && !this.audioMixer) return
+    if (!this.audioMixer) {
+      this.audioMixer = new AudioMixer({
+        volume: this.audioVolume,
+        muted: this.audioMuted,
+        log: this.log,
+        onInputEnded: () => this.emitAudio()
+      })
+    }
 
-    const senders = this.pc.getSenders()
+    this.audioError = null
+    try {
+      await this.audioMixer.setSource(this.audioSource)
+    } catch (error) {
+      // Video goes on without it - e.g. no loopback audio on older macOS
+      this.audioError = error.message || String(error)
+    }
+
+    const track = this.audioMixer.track
+    if (track && this.localStream && !this.localStream.getAudioTracks().includes(track)) {
+      this.localStream.addTrack(track)
+      // Viewers already connected get it through a renegotiation (negotiationneeded)
+      this.peers.forEach((pc) => this.addSenderTrack(pc, track))
+    }
+    this.emitAudio()
+  }
+
+  stopAudio() {
+    if (!this.audioMixer) return
+    this.audioMixer.stop()
+    this.audioMixer = null
+  }
+
+  emitAudio() {
+    this.onAudioChange({
+      source: this.audioSource,
+      inputs: this.audioMixer?.activeInputs() || [],
+      volume: this.audioVolume,
+      muted: this.audioMuted,
+      error: this.audioError
+    })
+  }
+
+  // 'off', 'system', 'microphone' or 'mix' (see AUDIO_SOURCES) - applied now when sharing
+  async setAudioSource(source) {
+    if (!AUDIO_SOURCES[source]) throw new Error(`Unknown audio source: ${source}`)
+    this.audioSource = source
+    this.log.info('Audio source', { source })
+    if (this.localStream) await this.captureAudio()
+    else this.emitAudio()
+  }
+
+  // 0-1, of the mix sent to the viewers
+  setAudioVolume(volume) {
+    this.audioVolume = volume
+    this.audioMixer?.setVolume(volume)
+    this.emitAudio()
+  }
+
+  setAudioMuted(muted) {
+    this.audioMuted = Boolean(muted)
+    this.log.info('Audio muted', { muted: this.audioMuted })
+    this.audioMixer?.setMuted(this.audioMuted)
+    this.emitAudio()
+  }
+
+  startBitrateController(peerId) {
+    const pc = this.peers.get(peerId)
+    if (!pc || this.bitrateControllers.has(peerId)) return
+
+    const controller = new BitrateController(pc, {
+      apply: (params) => this.setEncodingParameters(params, peerId),
+      limits: this.contentLimits(),
+      log: this.log,
+      onDecision: (decision) => {
+        this.log.info('Adaptive quality', {
+          viewer: peerId,
+          reason: decision.reason,
+          maxBitrate: decision.maxBitrate,
+          maxFramerate: decision.maxFramerate,
+          scaleResolutionDownBy: decision.scaleResolutionDownBy,
+          stats: decision.stats
+        })
+        this.onQualityDecision({ peerId, ...decision })
+      }
+    })
+    this.bitrateControllers.set(peerId, controller)
+    controller.start()
+  }
+
+  stopBitrateController(peerId) {
+    const controller = this.bitrateControllers.get(peerId)
+    if (!controller) return
+    controller.stop()
+    this.bitrateControllers.delete(peerId)
+  }
+
+  // Set encoding parameters for one viewer, or for every viewer when no peerId is given
+  async setEncodingParameters(params = {}, peerId = null) {
+    const peerIds = peerId ? [peerId] : Array.from(this.peers.keys())
+    await Promise.all(peerIds.map((id) => this.applyEncodingParameters(id, params)))
+  }
+
+  // `params` describe the full-quality stream and are remembered per viewer; the viewer's
+  // simulcast layer scales them down and caps them
+  async applyEncodingParameters(peerId, params) {
+    const pc = this.peers.get(peerId)
+    const negotiation = this.negotiations.get(peerId)
+    if (!pc || !negotiation) return
+    negotiation.encoding = { ...negotiation.encoding, ...params }
+    const requested = negotiation.encoding
+    const layer = this.layerFor(peerId)
+
+    const senders = pc.getSenders()
     const videoSender = senders.find((sender) => sender.track && sender.track.kind === 'video')
 
     if (videoSender) {
@@ -817,29 +1333,70 @@ class ScreenSender {
 
       // Update encoding parameters with EXTREME settings
       if (currentParams.encodings && currentParams.encodings.length > 0) {
-        const encoding = currentParams.encodings[0]
+        // Only the viewer's layer is sent. Without simulcast - not configured, or not
+        // negotiated - there is one encoding, which is scaled down to the layer instead and
+        // kept active, whatever was set on it before negotiation dropped the other layers.
+        const encoding =
+          currentParams.encodings.find((e) => e.rid === layer.rid) || currentParams.encodings[0]
+        currentParams.encodings.forEach((e) => {
+          e.active = e === encoding && requested.active !== false
+        })
 
-        if (params.maxBitrate) encoding.maxBitrate = params.maxBitrate
-        if (params.maxFramerate) encoding.maxFramerate = params.maxFramerate
-        if (params.scaleResolutionDownBy) {
-          encoding.scaleResolutionDownBy = params.scaleResolutionDownBy
+        // Unset caps are removed, so moving up from a capped layer lifts them
+        const maxBitrate = Math.min(requested.maxBitrate || Infinity, layer.maxBitrate || Infinity)
+        if (maxBitrate !== Infinity) encoding.maxBitrate = maxBitrate
+        else delete encoding.maxBitrate
+        const maxFramerate = Math.min(
+          requested.maxFramerate || Infinity,
+          layer.maxFramerate || Infinity
+        )
+        if (maxFramerate !== Infinity) encoding.maxFramerate = maxFramerate
+        else delete encoding.maxFramerate
+        encoding.scaleResolutionDownBy =
+          (requested.scaleResolutionDownBy || 1) * layer.scaleResolutionDownBy
+        if (requested.networkPriority) encoding.networkPriority = requested.networkPriority
+        if (requested.priority) encoding.priority = requested.priority
+        // Per sender, not per encoding
+        if (requested.degradationPreference) {
+          currentParams.degradationPreference = requested.degradationPreference
         }
-        if (params.networkPriority) encoding.networkPriority = params.networkPriority
-        if (params.priority) encoding.priority = params.priority
-        if (params.degradationPreference)
-          encoding.degradationPreference = params.degradationPreference
-        if (params.rid) encoding.rid = params.rid
-        if (params.active !== undefined) encoding.active = params.active
 
         await videoSender.setParameters(currentParams)
-        console.log('EXTREME encoding parameters updated:', encoding)
+        this.log.debug('Encoding parameters updated', {
+          viewer: peerId,
+          layer: layer.layer,
+          encoding
+        })
       }
     }
   }
 
+  // The layer a viewer is sent - 'auto' (or none yet) is the top one, which the
+  // bitrate controller adapts in the 'auto' quality preset
+  layerFor(peerId) {
+    const wanted = this.receivers.get(peerId)?.layer
+    return SIMULCAST_LAYERS.find(({ layer }) => layer === wanted) || SIMULCAST_LAYERS[0]
+  }
+
+  rememberLayer(peerId, layer) {
+    if (!layer) return
+    this.receivers.set(peerId, { ...this.receivers.get(peerId), layer })
+  }
+
+  // 'high', 'medium', 'low' or 'auto', from the viewer or the server's room logic
+  async setViewerLayer(peerId, layer) {
+    this.log.info('Viewer layer', { viewer: peerId, layer })
+    this.rememberLayer(peerId, layer)
+    this.emitReceivers()
+    try {
+      await this.applyEncodingParameters(peerId, {})
+    } catch (error) {
+      this.log.warn('Could not switch layer', { viewer: peerId, layer, error })
+    }
+  }
+
   // EXTREME: Enable hardware acceleration
   async enableHardwareAcceleration() {
-    console.log('🚀 EXTREME: Enabling hardware acceleration')
     try {
       // Try to enable hardware encoding via track constraints
       if (this.localStream) {
@@ -856,47 +1413,43 @@ class ScreenSender {
                 googTypingNoiseDetection: false,
                 // Force hardware encoding
                 googHardwareEncoding: true,
-                // Extreme quality settings
-                minFrameRate: 60,
+                // Extreme quality settings - no minimum frame rate, see captureScreen()
                 maxFrameRate: 120,
                 minWidth: 1920,
                 minHeight: 1080
               }
             ]
           })
-          console.log('🚀 Hardware acceleration constraints applied')
         }
       }
     } catch (error) {
-      console.warn('⚠️ Hardware acceleration not available:', error.message)
+      this.log.debug('Hardware acceleration not available', error)
     }
   }
 
   // EXTREME: Optimize network stack
-  async optimizeNetworkStack() {
-    console.log('🚀 EXTREME: Optimizing network stack')
+  async optimizeNetworkStack(peerId) {
+    const pc = this.peers.get(peerId)
     try {
       // Set high priority on peer connection
-      if (this.pc && this.pc.sctp) {
-        this.pc.sctp.maxMessageSize = 262144 // 256KB max message
+      if (pc && pc.sctp) {
+        pc.sctp.maxMessageSize = 262144 // 256KB max message
       }
 
       // Optimize ICE gathering
-      if (this.pc) {
+      if (pc) {
         // Force aggressive ICE gathering
-        const configuration = this.pc.getConfiguration()
+        const configuration = pc.getConfiguration()
         configuration.iceCandidatePoolSize = 20 // Increased pool
         configuration.bundlePolicy = 'max-bundle' // Maximum bundling
-
-        console.log('🚀 Network stack optimizations applied')
       }
     } catch (error) {
-      console.warn('⚠️ Network optimization failed:', error.message)
+      this.log.debug('Network optimization failed', error)
     }
   }
 
   updateStatus(status, data = {}) {
-    console.log('📊 SENDER UPDATE STATUS:', status, 'Data:', data)
+    this.log.info('Status', { status, details: data })
     this.connectionState = status
     this.onStatusChange(status, data)
   }
@@ -907,54 +1460,69 @@ class ScreenSender {
       connectionState: this.connectionState,
       isConnected: this.isConnected,
       signalingUrl: this.signalingUrl,
+      signalingUrls: this.signalingUrls,
       room: this.room,
+      peerId: this.peerId,
+      sessionId: this.log.context.sessionId,
+      qualityPreset: this.qualityPreset,
+      contentMode: this.contentMode,
+      activeContentMode: this.activeContentMode,
+      codecPreference: this.codecPreference,
+      codecPins: this.codecPins,
       signalingClient: {
         exists: !!this.signalingClient,
         isConnected: this.signalingClient?.isConnected(),
         readyState: this.signalingClient?.ws?.readyState
       },
-      peerConnection: {
-        exists: !!this.pc,
-        connectionState: this.pc?.connectionState,
-        iceConnectionState: this.pc?.iceConnectionState,
-        signalingState: this.pc?.signalingState
-      },
+      viewers: Array.from(this.peers, ([peerId, pc]) => ({
+        peerId,
+        connectionState: pc.connectionState,
+        iceConnectionState: pc.iceConnectionState,
+        signalingState: pc.signalingState,
+        receiver: this.receivers.get(peerId) || null,
+        layer: this.layerFor(peerId).layer,
+        encoding: this.bitrateControllers.get(peerId)?.params || null
+      })),
       localStream: {
         exists: !!this.localStream,
         tracks: this.localStream?.getTracks().length || 0
       },
       timestamp: new Date().toISOString()
     }
-    console.log('🔍 SENDER CONNECTION STATUS:', status)
+    this.log.info('Connection status', status)
     return status
   }
 
-  getStats() {
-    if (!this.pc) return null
-    return this.pc.getStats()
+  // Stats for one viewer, defaulting to the first connected one
+  getStats(peerId = null) {
+    const pc = peerId
+      ? this.peers.get(peerId)
+      : Array.from(this.peers.values()).find((p) => p.connectionState === 'connected')
+    if (!pc) return null
+    return pc.getStats()
   }
 
   // Cancel connection attempt (different from stop - for when connecting)
   cancelConnection() {
-    console.log('🛑 Canceling connection attempt...')
+    this.log.info('Cancelling connection attempt')
 
-    // Mark as stopping to prevent reconnection attempts
-    this.isStopping = true
     this.isConnected = false
 
-    // Close signaling
+    // Close signaling - the client stops reconnecting
     if (this.signalingClient) {
       this.signalingClient.close()
       this.signalingClient = null
     }
 
-    // Close peer connection
-    if (this.pc) {
-      this.pc.close()
-      this.pc = null
-    }
+    // Close every viewer connection
+    this.closeAllViewers()
 
     // Stop local stream
+    this.stopContentDetection()
+    this.stopAudio()
+    this.stopCropper()
+    this.stopSlate()
+    this.privacyState = 'live'
     if (this.localStream) {
       this.localStream.getTracks().forEach((track) => track.stop())
       this.localStream = null
@@ -967,34 +1535,28 @@ class ScreenSender {
     }
 
     this.updateStatus('cancelled')
-    console.log('✅ Connection attempt cancelled')
-
-    // Reset stopping flag after a short delay
-    setTimeout(() => {
-      this.isStopping = false
-    }, 500)
   }
 
   stop() {
-    console.log('Stopping screen sender...')
+    this.log.info('Stopping')
 
-    // Mark as stopping to prevent reconnection attempts
-    this.isStopping = true
     this.isConnected = false
 
-    // Close signaling
+    // Close signaling - the client stops reconnecting
     if (this.signalingClient) {
       this.signalingClient.close()
       this.signalingClient = null
     }
 
-    // Close peer connection
-    if (this.pc) {
-      this.pc.close()
-      this.pc = null
-    }
+    // Close every viewer connection
+    this.closeAllViewers()
 
     // Stop local stream
+    this.stopContentDetection()
+    this.stopAudio()
+    this.stopCropper()
+    this.stopSlate()
+    this.privacyState = 'live'
     if (this.localStream) {
       this.localStream.getTracks().forEach((track) => track.stop())
       this.localStream = null
@@ -1008,16 +1570,11 @@ class ScreenSender {
 
     this.updateStatus('stopped')
     this.onStreamEnded()
-
-    // Reset stopping flag after a short delay
-    setTimeout(() => {
-      this.isStopping = false
-    }, 1000)
   }
 
   // Getters
   isActive() {
-    return this.isConnected && this.pc && this.pc.connectionState === 'connected'
+    return this.isConnected && this.getConnectedViewerCount() > 0
   }
 
   getConnectionState() {
@@ -1028,9 +1585,14 @@ class ScreenSender {
     return this.room
   }
 
+  getPin() {
+    return this.pin
+  }
+
   setRoom(newRoom) {
-    console.log('🏠 Updating room from', this.room, 'to', newRoom)
+    this.log.info('Updating room', { newRoom })
     this.room = newRoom
+    this.log.setContext({ room: newRoom })
   }
 }
 
@@ -0,0 +1,116 @@
+/**
+ * Content-aware encoding modes
+ *
+ * A slide deck, an IDE and a video want opposite trade-offs: sharp text at a few
+ * frames per second, or smooth motion at whatever resolution the network allows.
+ * Each mode sets the track's contentHint, the sender's degradationPreference and
+ * the frame rate and bitrate ceilings together. 'auto' picks one from how often
+ * the captured screen actually changes (see ContentModeDetector).
+ */
+
+export const CONTENT_MODES = {
+  text: {
+    label: 'Text & code',
+    contentHint: 'text',
+    degradationPreference: 'maintain-resolution',
+    maxFramerate: 15,
+    maxBitrate: 4000000 // 4 Mbps - sharp glyphs, little motion
+  },
+  presentation: {
+    label: 'Presentation',
+    contentHint: 'detail',
+    degradationPreference: 'maintain-resolution',
+    maxFramerate: 30,
+    maxBitrate: 6000000 // 6 Mbps - room for slide transitions
+  },
+  video: {
+    label: 'Video',
+    contentHint: 'motion',
+    degradationPreference: 'maintain-framerate',
+    maxFramerate: 60,
+    maxBitrate: 15000000 // 15 Mbps - local network
+  }
+}
+
+export const CONTENT_MODE_NAMES = ['auto', ...Object.keys(CONTENT_MODES)]
+
+const SAMPLE_INTERVAL = 2000 // ms
+const SWITCH_AFTER = 3 // Consecutive samples in a new class before switching
+// Frames per second the screen changes at - capture only delivers changed frames
+const MOTION_FPS = 20 // At or above: video
+const STILL_FPS = 5 // Below: text
+
+/**
+ * Watches the captured track's frame rate through a peer connection's
+ * `media-source` stats and reports the mode it suggests.
+ */
+export class ContentModeDetector {
+  /**
+   * @param {Function} getPeerConnection - () => RTCPeerConnection, any connected viewer
+   * @param {Function} onChange - (mode, { framesPerSecond }) when the suggestion changes
+   */
+  constructor(getPeerConnection, onChange) {
+    this.getPeerConnection = getPeerConnection
+    this.onChange = onChange
+    this.mode = null
+    this.candidate = null // Class of the latest samples
+    this.candidateSamples = 0
+    this.previous = null // Last media-source report, for the frame rate
+    this.timer = null
+  }
+
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+    this.previous = null
+  }
+
+  async sample() {
+    const pc = this.getPeerConnection()
+    if (!pc) return
+
+    let source = null
+    try {
+      const report = await pc.getStats()
+      report.forEach((entry) => {
+        if (entry.type === 'media-source' && entry.kind === 'video') source = entry
+      })
+    } catch {
+      return // Connection closing
+    }
+    if (!source) return
+
+    const previous = this.previous
+    this.previous = source
+    const framesPerSecond =
+      previous && source.frames !== undefined
+        ? ((source.frames - previous.frames) * 1000) / (source.timestamp - previous.timestamp)
+        : source.framesPerSecond
+    if (framesPerSecond === undefined || Number.isNaN(framesPerSecond)) return
+
+    this.classify(framesPerSecond)
+  }
+
+  classify(framesPerSecond) {
+    let mode = 'presentation'
+    if (framesPerSecond >= MOTION_FPS) mode = 'video'
+    else if (framesPerSecond < STILL_FPS) mode = 'text'
+
+    if (mode !== this.candidate) {
+      this.candidate = mode
+      this.candidateSamples = 0
+    }
+    this.candidateSamples++
+
+    // The first sample decides straight away; later switches need to hold
+    if (mode !== this.mode && (!this.mode || this.candidateSamples >= SWITCH_AFTER)) {
+      this.mode = mode
+      this.onChange(mode, { framesPerSecond: Math.round(framesPerSecond) })
+    }
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Screen regions - part of a display to share instead of all of it
+ *
+ * A region is { x, y, width, height } as fractions (0-1) of the display, so it
+ * holds at any capture resolution and display scale factor. RegionCropper turns
+ * it into a pixel rectangle for every frame.
+ */
+
+export const REGION_PRESETS = {
+  'left-half': { label: 'Left half', region: { x: 0, y: 0, width: 0.5, height: 1 } },
+  'right-half': { label: 'Right half', region: { x: 0.5, y: 0, width: 0.5, height: 1 } },
+  'top-half': { label: 'Top half', region: { x: 0, y: 0, width: 1, height: 0.5 } },
+  'bottom-half': { label: 'Bottom half', region: { x: 0, y: 0.5, width: 1, height: 0.5 } },
+  center: { label: 'Center', region: { x: 0.25, y: 0.25, width: 0.5, height: 0.5 } }
+}
+
+const MIN_SIZE = 0.02 // Of the display - anything smaller is a stray click
+
+// Keep a region on the display and big enough to encode; null when it isn't usable
+export function clampRegion(region) {
+  if (!region) return null
+  const x = Math.min(Math.max(region.x, 0), 1)
+  const y = Math.min(Math.max(region.y, 0), 1)
+  const width = Math.min(region.width, 1 - x)
+  const height = Math.min(region.height, 1 - y)
+  if (!(width >= MIN_SIZE && height >= MIN_SIZE)) return null
+  return { x, y, width, height }
+}
+
+// Pixel rectangle of `region` in a `width` x `height` frame. Even-aligned - the
+// encoders' 4:2:0 chroma planes can't start or end on an odd pixel.
+export function cropRect(region, width, height) {
+  const even = (value) => Math.floor(value / 2) * 2
+  const x = even(region.x * width)
+  const y = even(region.y * height)
+  return {
+    x,
+    y,
+    width: Math.max(2, Math.min(even(region.width * width), even(width - x))),
+    height: Math.max(2, Math.min(even(region.height * height), even(height - y)))
+  }
+}
+
+export function sameRegion(a, b) {
+  if (!a || !b) return a === b
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height
+}